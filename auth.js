@@ -0,0 +1,189 @@
+const crypto = require("crypto");
+const { codedError } = require("./i18n");
+
+/* =========================
+   Users, roles + sessions
+   - passwords: scrypt with a per-user salt, never stored in clear
+   - sessions: random token handed to the browser; only its sha256 is stored
+   - a role is a list of permissions; routes ask for a permission, not a role
+   - failed sign-ins back off per username and per client IP: after LOGIN_FREE_FAILURES the
+     next try waits 2s, 4s, 8s ... up to LOGIN_MAX_WAIT_SEC (in memory, reset by a good sign-in)
+========================= */
+const ROLE_PERMISSIONS = {
+  admin: ["view", "execute", "plan", "limits", "stock", "admin"],
+  supervisor: ["view", "execute", "plan", "limits"],
+  floor: ["view", "execute"],
+  viewer: ["view"]
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const USERNAME_RE = /^[a-z0-9._-]{2,32}$/;
+const MIN_PASSWORD = 8;
+const LOGIN_FREE_FAILURES = 5;
+const LOGIN_MAX_WAIT_SEC = 15 * 60;
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return { salt, hash };
+}
+function checkPassword(user, password) {
+  if (!user?.salt || !user?.hash) return false;
+  const a = Buffer.from(hashPassword(password, user.salt).hash, "hex");
+  const b = Buffer.from(user.hash, "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+function tokenId(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// What the API hands out: never the salt/hash
+function publicUser(u) {
+  return {
+    username: u.username,
+    name: u.name || u.username,
+    role: u.role,
+    disabled: !!u.disabled,
+    createdAt: u.createdAt || null,
+    permissions: ROLE_PERMISSIONS[u.role] || []
+  };
+}
+
+function createAuth({ storage, usersFile, sessionsFile, sessionHours = 12 }) {
+  const loadUsers = () => storage.load(usersFile, { users: [] });
+  const saveUsers = (obj) => storage.save(usersFile, obj);
+  const loadSessions = () => storage.load(sessionsFile, { sessions: {} });
+  const saveSessions = (obj) => storage.save(sessionsFile, obj);
+
+  function findUser(username) {
+    const name = String(username || "").trim().toLowerCase();
+    return loadUsers().users.find(u => u.username === name) || null;
+  }
+
+  // First start: one admin account, password taken from ADMIN_PASSWORD (no built-in default)
+  function ensureAdmin(password) {
+    const obj = loadUsers();
+    if (obj.users.length) return false;
+    if (!password) throw new Error("No users yet: set ADMIN_PASSWORD to create the first admin account");
+    if (String(password).length < MIN_PASSWORD) throw new Error(`ADMIN_PASSWORD must be at least ${MIN_PASSWORD} characters`);
+    obj.users.push({ username: "admin", name: "Admin", role: "admin", ...hashPassword(password), createdAt: new Date().toISOString() });
+    saveUsers(obj);
+    return true;
+  }
+
+  function listUsers() {
+    return loadUsers().users.map(publicUser);
+  }
+
+  // Create or update. Password is required for a new user, optional otherwise.
+  function saveUser({ username, name, role, password, disabled }) {
+    const uname = String(username || "").trim().toLowerCase();
+    if (!USERNAME_RE.test(uname)) throw codedError("USERNAME_FORMAT");
+    if (!ROLES.includes(role)) throw codedError("ROLE_ONE_OF", { roles: ROLES.join(", ") });
+    if (password != null && password !== "" && String(password).length < MIN_PASSWORD) {
+      throw codedError("PASSWORD_MIN", { min: MIN_PASSWORD });
+    }
+
+    const obj = loadUsers();
+    let u = obj.users.find(x => x.username === uname);
+    if (!u) {
+      if (!password) throw codedError("PASSWORD_REQUIRED");
+      u = { username: uname, createdAt: new Date().toISOString() };
+      obj.users.push(u);
+    }
+    u.name = String(name || "").trim() || u.name || uname;
+    u.role = role;
+    u.disabled = !!disabled;
+    if (password) Object.assign(u, hashPassword(password));
+
+    if (!obj.users.some(x => x.role === "admin" && !x.disabled)) throw codedError("ADMIN_REQUIRED");
+    saveUsers(obj);
+    return publicUser(u);
+  }
+
+  function deleteUser(username) {
+    const obj = loadUsers();
+    const idx = obj.users.findIndex(u => u.username === String(username || "").trim().toLowerCase());
+    if (idx < 0) return false;
+    const [removed] = obj.users.splice(idx, 1);
+    if (!obj.users.some(x => x.role === "admin" && !x.disabled)) throw codedError("ADMIN_REQUIRED");
+    saveUsers(obj);
+
+    const s = loadSessions();
+    for (const [id, sess] of Object.entries(s.sessions)) if (sess.username === removed.username) delete s.sessions[id];
+    saveSessions(s);
+    return true;
+  }
+
+  function changePassword(username, currentPassword, newPassword) {
+    const obj = loadUsers();
+    const u = obj.users.find(x => x.username === username);
+    if (!u || !checkPassword(u, currentPassword)) throw codedError("CURRENT_PASSWORD_WRONG");
+    if (String(newPassword || "").length < MIN_PASSWORD) throw codedError("PASSWORD_MIN", { min: MIN_PASSWORD });
+    Object.assign(u, hashPassword(newPassword));
+    saveUsers(obj);
+  }
+
+  const failures = new Map(); // "user:<name>" | "ip:<addr>" -> { count, at, until }
+
+  function waitSec(keys, now) {
+    return Math.max(0, ...keys.map(k => Math.ceil(((failures.get(k)?.until || 0) - now) / 1000)));
+  }
+  function noteFailure(keys, now) {
+    // Counters left alone for LOGIN_MAX_WAIT_SEC after their last failure / wait are forgotten
+    for (const [k, f] of failures) if (Math.max(f.at, f.until) + LOGIN_MAX_WAIT_SEC * 1000 < now) failures.delete(k);
+    for (const k of keys) {
+      const f = failures.get(k) || { count: 0, at: 0, until: 0 };
+      f.count++;
+      f.at = now;
+      const over = f.count - LOGIN_FREE_FAILURES + 1;
+      if (over > 0) f.until = now + Math.min(2 ** over, LOGIN_MAX_WAIT_SEC) * 1000;
+      failures.set(k, f);
+    }
+  }
+
+  // Returns { token, user }, { retryAfterSec } while backing off, or null; expired sessions are pruned on the way
+  function login(username, password, ip) {
+    const now = Date.now();
+    const keys = ["user:" + String(username || "").trim().toLowerCase(), "ip:" + String(ip || "")];
+    const wait = waitSec(keys, now);
+    if (wait > 0) return { retryAfterSec: wait };
+
+    const u = findUser(username);
+    if (!u || u.disabled || !checkPassword(u, password)) {
+      noteFailure(keys, now);
+      return null;
+    }
+    for (const k of keys) failures.delete(k);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const s = loadSessions();
+    for (const [id, sess] of Object.entries(s.sessions)) if (Date.parse(sess.expiresAt) <= now) delete s.sessions[id];
+    s.sessions[tokenId(token)] = {
+      username: u.username,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + sessionHours * 3600 * 1000).toISOString()
+    };
+    saveSessions(s);
+    return { token, user: publicUser(u), maxAgeSec: sessionHours * 3600 };
+  }
+
+  function logout(token) {
+    if (!token) return;
+    const s = loadSessions();
+    if (!s.sessions[tokenId(token)]) return;
+    delete s.sessions[tokenId(token)];
+    saveSessions(s);
+  }
+
+  // Token -> current user (role read fresh, so role changes apply at once)
+  function userForToken(token) {
+    if (!token) return null;
+    const sess = loadSessions().sessions[tokenId(token)];
+    if (!sess || Date.parse(sess.expiresAt) <= Date.now()) return null;
+    const u = findUser(sess.username);
+    return u && !u.disabled ? publicUser(u) : null;
+  }
+
+  return { ensureAdmin, listUsers, saveUser, deleteUser, changePassword, login, logout, userForToken };
+}
+
+module.exports = { createAuth, ROLES, ROLE_PERMISSIONS };
@@ -0,0 +1,453 @@
+/* =========================
+   Arabic / English catalogs (API messages, export + PDF headers, cell values)
+   - request language: ?lang=ar|en, then the "lang" cookie the UI sets, then Accept-Language
+   - routes answer errors as { code, params } (or throw codedError()); localizeBody() adds
+     { error: <text in the request language> }
+   - text the server words itself in a row or a message carries <field>Code / <field>Params next
+     to the English text and is put in the request language; user-typed text is left alone
+   - a plain { error } without a code goes out as it is, code "ERROR" (5xx: "SERVER_ERROR")
+========================= */
+const LANGS = ["ar", "en"];
+
+// code -> "text with {params}"
+const MESSAGES = {
+  en: {
+    // auth / users
+    SIGN_IN_REQUIRED: "Sign in required",
+    WRONG_LOGIN: "Wrong username or password",
+    TOO_MANY_LOGINS: "Too many failed sign-ins. Try again in {seconds} seconds",
+    ROLE_FORBIDDEN: "Your role ({role}) cannot do this",
+    NO_PERMISSION_RULE: "Route has no permission rule",
+    CANNOT_DEMOTE_SELF: "You cannot demote or disable your own account",
+    CANNOT_DELETE_SELF: "You cannot delete your own account",
+    USER_NOT_FOUND: "User not found",
+    USERNAME_FORMAT: "Username must be 2-32 characters: a-z, 0-9, . _ -",
+    ROLE_ONE_OF: "Role must be one of: {roles}",
+    PASSWORD_MIN: "Password must be at least {min} characters",
+    PASSWORD_REQUIRED: "Password is required for a new user",
+    ADMIN_REQUIRED: "At least one active admin is required",
+    CURRENT_PASSWORD_WRONG: "Current password is wrong",
+    IDEMPOTENCY_KEY_TOO_LONG: "Idempotency-Key is too long",
+
+    // files / import profiles
+    NO_STOCK_FILE: "No stock file uploaded",
+    NO_SALES_FILE: "No sales file uploaded",
+    NO_LIMITS_FILE: "No limits file uploaded",
+    UNSUPPORTED_FILE: "Unsupported file type. Use .xlsx or .csv",
+    SHEET_NOT_FOUND: "Sheet \"{sheet}\" not found. Sheets: {sheets}",
+    COLUMN_NOT_FOUND: "Column \"{column}\" not found in header row",
+    UNKNOWN_PROFILE: "Unknown import profile \"{profile}\"",
+    PROFILE_NOT_FOUND: "Profile not found",
+    PROFILE_BUILTIN_CHANGE: "Built-in profile cannot be changed",
+    PROFILE_BUILTIN_DELETE: "Built-in profile cannot be deleted",
+    PROFILE_NAME: "Profile name: letters, digits, spaces, - and _ only",
+    PROFILE_LAYOUT: "layout must be one of {layouts}",
+    PROFILE_COLUMN_MISSING: "Missing column for \"{column}\"",
+    PROFILE_HEADER_ROW: "headerRow must be 0 or a row number",
+    PROFILE_DELIMITER: "delimiter must be a single character",
+    UNKNOWN_ENCODING: "Unknown encoding \"{encoding}\"",
+
+    // parse report reasons
+    QTY_NOT_NUMBER: "Qty \"{qty}\" is not a number, counted as 0",
+    EMPTY_TEXT_WITH_QTY: "Empty text with a qty",
+    BRACKET_NOT_SKU: "Bracketed code is not a numeric SKU; taken as a category header",
+    HEADER_ROW: "Header row",
+    NO_SKU_FOUND: "No [sku] found",
+    ROW_MISSING_SKU: "Missing SKU",
+    BOTH_LOOK_LIKE_SIZE: "Both values look like a size",
+    NEITHER_LOOKS_LIKE_SIZE: "Neither value looks like a size",
+    EXTRA_VALUES: "Extra values ignored: {values}",
+    ALSO_UNDER: "Also under \"{category}\" ({qty}); last one kept",
+    SKU_NOT_IN_STOCK: "SKU not in stock",
+    SPELLED_DIFFERENTLY: "Size/color spelled differently",
+    NO_STOCK_LINE: "No stock line with this size/color",
+
+    // stock / snapshots / search
+    STOCK_EMPTY: "Stock is empty. Update stock first.",
+    SNAPSHOT_NOT_FOUND: "Snapshot not found",
+    CATEGORY_NOT_IN_STOCK: "Category not found in stock: {category}",
+    ITEM_NOT_IN_STOCK: "Item not found in stock",
+    LINE_NOT_IN_STOCK: "Line not found in stock",
+    INSUFFICIENT_STOCK: "Insufficient stock. Have {have}, need {need}",
+    INSUFFICIENT: "Insufficient have {have}, need {need}",
+    MISSING_STOCK_QTY: "Missing stock / qty<=0",
+    MISSING_STOCK_PULL_QTY: "Missing stock / pullQty<=0",
+    QTY_IN: "qtyIn must be total, backroom or floor",
+    SORT_ONE_OF: "sort must be one of: {sorts}",
+    MIN_MAX_QTY_NUMBERS: "minQty/maxQty must be numbers",
+    INVALID_CURSOR: "Invalid cursor",
+    FROM_TO_DATES: "from/to must be dates",
+    FROM_TO_FORMAT: "from/to must be YYYY-MM-DD",
+    FROM_AFTER_TO: "from must not be after to",
+    WINDOW_LIMIT: "Window is limited to 2 years",
+
+    // limits
+    DEFAULT_MIN_MAX_NUMBERS: "defaultMin/defaultMax must be numbers",
+    MIN_MAX_NUMBERS: "min/max must be numbers",
+    MISSING_SKU: "Missing sku",
+    MISSING_CATEGORY: "Missing category",
+    MISSING_LINE_OR_SKU: "Missing lineId or sku",
+    LIMIT_TYPE: "type must be sku+size, sku or category",
+    RULE_NOT_FOUND: "Rule not found",
+    LIMITS_MODE: "mode must be merge or replace",
+    LIMITS_HEADER: "Header row must have Min and Max columns",
+    LIMITS_INVALID_ROWS: "{count} invalid row(s), nothing saved",
+    LIMITS_UNKNOWN_TYPE: "Unknown type \"{type}\"",
+    LIMITS_MIN: "Min must be a number >= 0",
+    LIMITS_MAX: "Max must be a number >= 0",
+    LIMITS_MIN_OVER_MAX: "Min is greater than Max",
+    LIMITS_MISSING_CATEGORY: "Missing Category",
+    LIMITS_MISSING_SIZE: "Missing Size",
+
+    // runs / lines / execute
+    MODE_ONE_OF: "mode must be one of {modes}",
+    SALES_DATE: "salesDate must be a date",
+    RUN_NOT_FOUND: "Run not found",
+    RUN_CANCELLED: "Run is cancelled",
+    ALREADY_CANCELLED: "Already cancelled",
+    LINE_NOT_FOUND: "Line not found",
+    LINE_SKIPPED: "Line is skipped",
+    LINE_NOT_EXECUTED: "Line is not executed",
+    LINE_STATUS: "Line is {status}",
+    ALREADY_EXECUTED: "Already executed",
+    MISSING_RUN_ID: "Missing runId",
+    MISSING_LINE_ID: "Missing lineId",
+    MISSING_RUN_OR_LINE: "Missing runId or lineId",
+    MISSING_NOTE: "Missing note",
+    MISSING_REASON: "Missing reason",
+    MISSING_CODE: "Missing code",
+    PULL_QTY_MIN: "pullQty must be a whole number >= 1",
+    ACTUAL_QTY_RANGE: "actualQty must be a whole number from 0 to {max}",
+    SHORT_REASON_REQUIRED: "Reason is required when fewer pieces were found",
+    SALES_RECORD_NOT_FOUND: "Sales record not found",
+    SCAN_NOTHING_LEFT: "{code}: no pending pieces left in this list",
+    SCAN_NOT_IN_LIST: "{code}: not in this list",
+
+    // ledger reasons
+    LEDGER_UPLOAD: "Stock upload (replace)",
+    LEDGER_SYNONYM: "Moved to the dictionary spelling",
+    LEDGER_CLEAR: "Stock cleared",
+    LEDGER_ROLLBACK: "Rollback to {snapshotId}",
+    LEDGER_SALES_REPLACED: "Sales file replaced ({file})",
+    LEDGER_SOLD: "Sold from floor ({file})",
+    LEDGER_REPLAN_EXECUTE: "Replan execute",
+    LEDGER_REPLAN_EXECUTE_ALL: "Replan execute all",
+    LEDGER_REPLAN_REVERSAL: "Replan reversal",
+    LEDGER_NC_EXECUTE: "New Collection execute",
+    LEDGER_NC_EXECUTE_ALL: "New Collection execute all",
+    LEDGER_NC_REVERSAL: "New Collection reversal",
+    LEDGER_SCAN_EXECUTE: "Scan execute",
+
+    // New Collection
+    BATCH_NOT_FOUND: "Batch not found",
+    NO_HELD_LINES: "No held lines to release",
+    NC_DEFAULT_QTY: "defaultQty must be a whole number 0-100",
+    NC_RULE_TARGET: "Each rule needs a category or a size",
+    NC_RULE_QTY: "Rule {rule}: qty must be a whole number 0-100",
+    NC_RULE_DUPLICATE: "Duplicate rule: {rule}",
+
+    // synonyms
+    SYNONYM_TYPE: "type must be one of: {types}",
+    SYNONYM_FROM_TO: "from and to are required (max 100 characters)",
+    SYNONYM_SAME: "from and to are the same",
+    SYNONYM_CHAIN: "\"{to}\" is itself mapped to \"{target}\"",
+    ENTRY_NOT_FOUND: "Entry not found",
+
+    // inbox
+    INBOX_DIR_REQUIRED: "Inbox folder is required",
+    INBOX_INTERVAL: "intervalSec must be 10-3600",
+    INBOX_PATTERN: "Rule pattern: a file name pattern like stock_*.xlsx",
+    INBOX_RULE_TYPE: "Rule type must be one of: {types}",
+
+    // Odoo
+    ODOO_HTTP: "Odoo answered HTTP {status}",
+    ODOO_LOGIN_FAILED: "Odoo login failed: check database, user and password",
+    ODOO_LOCATION: "Odoo location \"{location}\" not found",
+    ODOO_URL: "Odoo URL must start with http:// or https://",
+    ODOO_REQUIRED: "URL, database, user and password are required",
+    ODOO_SOURCES: "salesSources: {sources}",
+    ODOO_SALES_DAYS: "salesDays must be 1-90",
+    ODOO_SCHEDULE: "schedule.{kind} must be HH:MM",
+    ODOO_NOT_CONFIGURED: "Odoo is not configured",
+    ODOO_KIND: "kind must be one of {kinds}",
+    ODOO_RANGE: "from/to must be YYYY-MM-DD dates, from <= to",
+    ODOO_BUSY: "An Odoo {kind} sync is already running",
+    ODOO_ERROR: "Odoo: {message}"
+  },
+  ar: {
+    SIGN_IN_REQUIRED: "لازم تسجل دخول",
+    WRONG_LOGIN: "اسم المستخدم أو كلمة السر غلط",
+    TOO_MANY_LOGINS: "محاولات دخول غلط كتير. جرب تاني بعد {seconds} ثانية",
+    ROLE_FORBIDDEN: "صلاحيتك ({role}) متسمحش بده",
+    NO_PERMISSION_RULE: "المسار ده مالوش صلاحية محددة",
+    CANNOT_DEMOTE_SELF: "مينفعش تقلل صلاحية حسابك أو توقفه",
+    CANNOT_DELETE_SELF: "مينفعش تمسح حسابك",
+    USER_NOT_FOUND: "المستخدم مش موجود",
+    USERNAME_FORMAT: "اسم المستخدم من 2 لـ 32 حرف: a-z و 0-9 و . _ -",
+    ROLE_ONE_OF: "الصلاحية لازم تكون واحدة من: {roles}",
+    PASSWORD_MIN: "كلمة السر لازم تكون {min} حروف على الأقل",
+    PASSWORD_REQUIRED: "كلمة السر مطلوبة للمستخدم الجديد",
+    ADMIN_REQUIRED: "لازم يفضل admin واحد شغال على الأقل",
+    CURRENT_PASSWORD_WRONG: "كلمة السر الحالية غلط",
+    IDEMPOTENCY_KEY_TOO_LONG: "Idempotency-Key طويل زيادة",
+
+    NO_STOCK_FILE: "مفيش ملف مخزون مرفوع",
+    NO_SALES_FILE: "مفيش ملف مبيعات مرفوع",
+    NO_LIMITS_FILE: "مفيش ملف Min/Max مرفوع",
+    UNSUPPORTED_FILE: "نوع الملف مش مدعوم. استخدم .xlsx أو .csv",
+    SHEET_NOT_FOUND: "الشيت \"{sheet}\" مش موجود. الشيتات: {sheets}",
+    COLUMN_NOT_FOUND: "العمود \"{column}\" مش موجود في صف العناوين",
+    UNKNOWN_PROFILE: "Import Profile \"{profile}\" مش معروف",
+    PROFILE_NOT_FOUND: "الـ Profile مش موجود",
+    PROFILE_BUILTIN_CHANGE: "مينفعش تعدل Profile أساسي",
+    PROFILE_BUILTIN_DELETE: "مينفعش تمسح Profile أساسي",
+    PROFILE_NAME: "اسم الـ Profile: حروف وأرقام ومسافات و - و _ بس",
+    PROFILE_LAYOUT: "الـ layout لازم يكون واحد من {layouts}",
+    PROFILE_COLUMN_MISSING: "عمود \"{column}\" ناقص",
+    PROFILE_HEADER_ROW: "headerRow لازم يكون 0 أو رقم صف",
+    PROFILE_DELIMITER: "الفاصل لازم يكون حرف واحد",
+    UNKNOWN_ENCODING: "الترميز \"{encoding}\" مش معروف",
+
+    QTY_NOT_NUMBER: "الكمية \"{qty}\" مش رقم، اتحسبت 0",
+    EMPTY_TEXT_WITH_QTY: "نص فاضي وفيه كمية",
+    BRACKET_NOT_SKU: "الكود اللي بين الأقواس مش SKU رقمي؛ اتحسب عنوان فئة",
+    HEADER_ROW: "صف عناوين",
+    NO_SKU_FOUND: "مفيش [sku]",
+    ROW_MISSING_SKU: "SKU ناقص",
+    BOTH_LOOK_LIKE_SIZE: "القيمتين شكلهم مقاس",
+    NEITHER_LOOKS_LIKE_SIZE: "ولا قيمة شكلها مقاس",
+    EXTRA_VALUES: "قيم زيادة اتجاهلت: {values}",
+    ALSO_UNDER: "موجود كمان تحت \"{category}\" ({qty})؛ الأخير هو اللي اتاخد",
+    SKU_NOT_IN_STOCK: "الـ SKU مش في المخزون",
+    SPELLED_DIFFERENTLY: "المقاس/اللون مكتوب بشكل مختلف",
+    NO_STOCK_LINE: "مفيش سطر مخزون بالمقاس/اللون ده",
+
+    STOCK_EMPTY: "المخزون فاضي. حدّث المخزون الأول.",
+    SNAPSHOT_NOT_FOUND: "الـ Snapshot مش موجود",
+    CATEGORY_NOT_IN_STOCK: "الفئة مش موجودة في المخزون: {category}",
+    ITEM_NOT_IN_STOCK: "الصنف مش موجود في المخزون",
+    LINE_NOT_IN_STOCK: "السطر مش موجود في المخزون",
+    INSUFFICIENT_STOCK: "المخزون مش كفاية. موجود {have} والمطلوب {need}",
+    INSUFFICIENT: "مش كفاية: موجود {have} والمطلوب {need}",
+    MISSING_STOCK_QTY: "مش في المخزون / الكمية <= 0",
+    MISSING_STOCK_PULL_QTY: "مش في المخزون / PullQty <= 0",
+    QTY_IN: "qtyIn لازم يكون total أو backroom أو floor",
+    SORT_ONE_OF: "الترتيب لازم يكون واحد من: {sorts}",
+    MIN_MAX_QTY_NUMBERS: "minQty/maxQty لازم يكونوا أرقام",
+    INVALID_CURSOR: "Cursor غلط",
+    FROM_TO_DATES: "من/إلى لازم يكونوا تواريخ",
+    FROM_TO_FORMAT: "من/إلى لازم يكونوا بالشكل YYYY-MM-DD",
+    FROM_AFTER_TO: "تاريخ البداية بعد تاريخ النهاية",
+    WINDOW_LIMIT: "أقصى فترة سنتين",
+
+    DEFAULT_MIN_MAX_NUMBERS: "Default Min/Max لازم يكونوا أرقام",
+    MIN_MAX_NUMBERS: "Min/Max لازم يكونوا أرقام",
+    MISSING_SKU: "SKU ناقص",
+    MISSING_CATEGORY: "الفئة ناقصة",
+    MISSING_LINE_OR_SKU: "lineId أو SKU ناقص",
+    LIMIT_TYPE: "النوع لازم يكون sku+size أو sku أو category",
+    RULE_NOT_FOUND: "القاعدة مش موجودة",
+    LIMITS_MODE: "الطريقة لازم تكون merge أو replace",
+    LIMITS_HEADER: "صف العناوين لازم يكون فيه Min و Max",
+    LIMITS_INVALID_ROWS: "{count} صف فيهم أخطاء، مفيش حاجة اتحفظت",
+    LIMITS_UNKNOWN_TYPE: "النوع \"{type}\" مش معروف",
+    LIMITS_MIN: "Min لازم يكون رقم >= 0",
+    LIMITS_MAX: "Max لازم يكون رقم >= 0",
+    LIMITS_MIN_OVER_MAX: "Min أكبر من Max",
+    LIMITS_MISSING_CATEGORY: "الفئة ناقصة",
+    LIMITS_MISSING_SIZE: "المقاس ناقص",
+
+    MODE_ONE_OF: "الطريقة لازم تكون واحدة من {modes}",
+    SALES_DATE: "تاريخ المبيعات لازم يكون تاريخ",
+    RUN_NOT_FOUND: "الران مش موجود",
+    RUN_CANCELLED: "الران ملغي",
+    ALREADY_CANCELLED: "اتلغى قبل كده",
+    LINE_NOT_FOUND: "السطر مش موجود",
+    LINE_SKIPPED: "السطر متخطي",
+    LINE_NOT_EXECUTED: "السطر مش متنفذ",
+    LINE_STATUS: "حالة السطر {status}",
+    ALREADY_EXECUTED: "اتنفذ قبل كده",
+    MISSING_RUN_ID: "runId ناقص",
+    MISSING_LINE_ID: "lineId ناقص",
+    MISSING_RUN_OR_LINE: "runId أو lineId ناقص",
+    MISSING_NOTE: "الملاحظة ناقصة",
+    MISSING_REASON: "السبب ناقص",
+    MISSING_CODE: "الكود ناقص",
+    PULL_QTY_MIN: "PullQty لازم يكون رقم صحيح >= 1",
+    ACTUAL_QTY_RANGE: "الكمية الفعلية لازم تكون رقم صحيح من 0 لـ {max}",
+    SHORT_REASON_REQUIRED: "السبب مطلوب لما القطع اللي اتلقت أقل من المطلوب",
+    SALES_RECORD_NOT_FOUND: "سجل المبيعات مش موجود",
+    SCAN_NOTHING_LEFT: "{code}: مفيش قطع فاضلة في الليستة دي",
+    SCAN_NOT_IN_LIST: "{code}: مش في الليستة دي",
+
+    LEDGER_UPLOAD: "رفع مخزون (استبدال)",
+    LEDGER_SYNONYM: "اتنقل للكتابة اللي في القاموس",
+    LEDGER_CLEAR: "المخزون اتمسح",
+    LEDGER_ROLLBACK: "رجوع لـ {snapshotId}",
+    LEDGER_SALES_REPLACED: "ملف المبيعات اتبدل ({file})",
+    LEDGER_SOLD: "اتباع من الصالة ({file})",
+    LEDGER_REPLAN_EXECUTE: "تنفيذ ريبلانش",
+    LEDGER_REPLAN_EXECUTE_ALL: "تنفيذ كل الريبلانش",
+    LEDGER_REPLAN_REVERSAL: "إلغاء تنفيذ ريبلانش",
+    LEDGER_NC_EXECUTE: "تنفيذ New Collection",
+    LEDGER_NC_EXECUTE_ALL: "تنفيذ كل New Collection",
+    LEDGER_NC_REVERSAL: "إلغاء تنفيذ New Collection",
+    LEDGER_SCAN_EXECUTE: "تنفيذ بالسكان",
+
+    BATCH_NOT_FOUND: "الدفعة مش موجودة",
+    NO_HELD_LINES: "مفيش أصناف مستنية",
+    NC_DEFAULT_QTY: "Default Qty لازم يكون رقم صحيح من 0 لـ 100",
+    NC_RULE_TARGET: "كل قاعدة لازم يكون فيها فئة أو مقاس",
+    NC_RULE_QTY: "القاعدة {rule}: الكمية لازم تكون رقم صحيح من 0 لـ 100",
+    NC_RULE_DUPLICATE: "قاعدة متكررة: {rule}",
+
+    SYNONYM_TYPE: "النوع لازم يكون واحد من: {types}",
+    SYNONYM_FROM_TO: "الكتابتين مطلوبين (100 حرف بالكتير)",
+    SYNONYM_SAME: "الكتابتين زي بعض",
+    SYNONYM_CHAIN: "\"{to}\" نفسها متحولة لـ \"{target}\"",
+    ENTRY_NOT_FOUND: "الكلمة مش موجودة في القاموس",
+
+    INBOX_DIR_REQUIRED: "فولدر الـ Inbox مطلوب",
+    INBOX_INTERVAL: "مدة الفحص لازم تكون من 10 لـ 3600 ثانية",
+    INBOX_PATTERN: "الـ Pattern: اسم ملف زي stock_*.xlsx",
+    INBOX_RULE_TYPE: "نوع القاعدة لازم يكون واحد من: {types}",
+
+    ODOO_HTTP: "Odoo رد بـ HTTP {status}",
+    ODOO_LOGIN_FAILED: "الدخول على Odoo فشل: راجع قاعدة البيانات واسم المستخدم وكلمة السر",
+    ODOO_LOCATION: "المكان \"{location}\" مش موجود في Odoo",
+    ODOO_URL: "رابط Odoo لازم يبدأ بـ http:// أو https://",
+    ODOO_REQUIRED: "الرابط وقاعدة البيانات والمستخدم وكلمة السر مطلوبين",
+    ODOO_SOURCES: "مصادر المبيعات: {sources}",
+    ODOO_SALES_DAYS: "أيام المبيعات من 1 لـ 90",
+    ODOO_SCHEDULE: "ميعاد {kind} لازم يكون HH:MM",
+    ODOO_NOT_CONFIGURED: "Odoo مش متظبط",
+    ODOO_KIND: "النوع لازم يكون واحد من {kinds}",
+    ODOO_RANGE: "من/إلى لازم يكونوا تواريخ YYYY-MM-DD ومن <= إلى",
+    ODOO_BUSY: "فيه سحب {kind} من Odoo شغال دلوقتي",
+    ODOO_ERROR: "Odoo: {message}"
+  }
+};
+
+// Column headers / sheet names / PDF labels
+const HEADERS = {
+  ar: {
+    category: "الفئة", sku: "SKU", size: "المقاس", color: "اللون", qty: "الكمية",
+    stockQty: "المخزن", floorQty: "الصالة", salesQty: "المبيعات", balance: "الرصيد", avgDaily: "متوسط يومي",
+    pullQty: "كمية السحب", status: "الحالة", executedAt: "وقت التنفيذ", executedBy: "نفذه", lastExecutedAt: "آخر تنفيذ",
+    location: "المكان", backroom: "المخزن", floor: "الصالة",
+    topCategories: "أعلى الفئات", topSkus: "أعلى الأصناف", noReplan: "بدون ريبلانش", totals: "الإجماليات",
+    replanPickList: "قائمة سحب الريبلانش", newCollectionPickList: "قائمة سحب New Collection",
+    runId: "رقم الران", createdAt: "التاريخ", createdBy: "بواسطة", mode: "الطريقة", categoryFilter: "الفئة",
+    salesFileName: "ملف المبيعات", printedAt: "وقت الطباعة", subtotal: "إجمالي الفئة", total: "الإجمالي",
+    continued: "تابع", page: "صفحة", of: "من", lines: "سطر", pieces: "قطعة",
+    actualQty: "المسحوب فعلاً", shortQty: "العجز", systemQty: "رصيد السيستم", shortReason: "السبب", shortfall: "العجز",
+    batchId: "الدفعة", date: "التاريخ", pulledDaily: "السحب اليومي", pulledWeekly: "السحب الأسبوعي", sellThrough: "نسبة البيع",
+    sold: "المباع", onHand: "الرصيد الحالي", sellThroughPct: "نسبة البيع %", daysOfCover: "أيام التغطية",
+    oversold: "مبيعات أكبر من المخزن", runs: "عدد الرانات", lastAt: "آخر ران", backroomNow: "المخزن الآن",
+    sizeRuns: "المقاسات الناقصة", sizes: "المقاسات", missing: "نافد", floorGaps: "ناقص في الصالة",
+    newCollection: "New Collection", stock: "المخزون", dashboard: "Dashboard"
+  },
+  en: {
+    category: "Category", sku: "SKU", size: "Size", color: "Color", qty: "Qty",
+    stockQty: "Backroom", floorQty: "Floor", salesQty: "Sales", balance: "Balance", avgDaily: "Avg/Day",
+    pullQty: "Pull Qty", status: "Status", executedAt: "Executed At", executedBy: "Executed By", lastExecutedAt: "Last Executed",
+    location: "Location", backroom: "Backroom", floor: "Floor",
+    topCategories: "Top Categories", topSkus: "Top SKUs", noReplan: "No Replan Since", totals: "Totals",
+    replanPickList: "Replan Pick List", newCollectionPickList: "New Collection Pick List",
+    runId: "Run", createdAt: "Created", createdBy: "By", mode: "Mode", categoryFilter: "Category",
+    salesFileName: "Sales File", printedAt: "Printed", subtotal: "Category total", total: "Total",
+    continued: "continued", page: "Page", of: "of", lines: "lines", pieces: "pcs",
+    actualQty: "Actual Qty", shortQty: "Short", systemQty: "System Qty", shortReason: "Reason", shortfall: "Shortfall",
+    batchId: "Batch", date: "Date", pulledDaily: "Pulled Daily", pulledWeekly: "Pulled Weekly", sellThrough: "Sell-through",
+    sold: "Sold", onHand: "On Hand", sellThroughPct: "Sell-through %", daysOfCover: "Days of Cover",
+    oversold: "Sales Over Stock", runs: "Runs", lastAt: "Last Run", backroomNow: "Backroom Now",
+    sizeRuns: "Broken Size Runs", sizes: "Sizes", missing: "Sold Out", floorGaps: "Missing on Floor",
+    newCollection: "New Collection", stock: "Stock", dashboard: "Dashboard"
+  }
+};
+
+// Stored status / mode values as they read in exports and PDFs
+const VALUES = {
+  ar: {
+    Pending: "مستني", Done: "اتنفذ", Partial: "جزئي", NotFound: "مش موجود", Skipped: "متخطي",
+    Open: "مفتوحة", Completed: "خلصت", Cancelled: "ملغي",
+    minmax: "Min/Max", velocity: "Velocity",
+    BASE_PENDING_ALL: "كل المخزون (بعد المسح)", UPDATE_PENDING_NEW_ONLY: "الجديد بس", RELEASE: "إفراج يدوي"
+  },
+  en: {
+    Pending: "Pending", Done: "Done", Partial: "Partial", NotFound: "Not Found", Skipped: "Skipped",
+    Open: "Open", Completed: "Completed", Cancelled: "Cancelled",
+    minmax: "Min/Max", velocity: "Velocity",
+    BASE_PENDING_ALL: "All stock (after clear)", UPDATE_PENDING_NEW_ONLY: "New lines only", RELEASE: "Manual release"
+  }
+};
+
+function requestLang(req) {
+  const q = String(req.query?.lang || "").toLowerCase();
+  if (LANGS.includes(q)) return q;
+  const cookie = String(req.headers.cookie || "").match(/(?:^|;\s*)lang=(ar|en)\b/);
+  if (cookie) return cookie[1];
+  return /^ar\b/i.test(String(req.headers["accept-language"] || "")) ? "ar" : "en";
+}
+
+const value = (lang, v) => VALUES[lang]?.[v] ?? v;
+
+const fill = (text, params = {}) => text.replace(/\{(\w+)\}/g, (m, k) => (params[k] ?? m));
+
+function t(lang, code, params) {
+  return fill((MESSAGES[lang] || MESSAGES.en)[code] || MESSAGES.en[code] || code, params);
+}
+
+const isCode = (code) => typeof code === "string" && Object.hasOwn(MESSAGES.en, code);
+
+// Params that are stored values ("Line is Done") read in lang as well
+const fromCode = (lang, code, params = {}) =>
+  t(lang, code, Object.fromEntries(Object.entries(params).map(([k, v]) => [k, value(lang, v)])));
+
+// An Error whose message is the English text and whose code / params the response is built from
+function codedError(code, params = {}, status) {
+  const e = Object.assign(new Error(t("en", code, params)), { code, params });
+  if (status) e.status = status;
+  return e;
+}
+
+// Catch blocks: a coded error answers { code, params }, anything else its message
+const errorBody = (e) => isCode(e?.code) ? { code: e.code, params: e.params || {} } : { error: String(e?.message || e) };
+
+// Server-worded field: { reason: "Header row", reasonCode: "HEADER_ROW" } (+ reasonParams)
+function coded(field, code, params) {
+  const out = { [field]: t("en", code, params), [field + "Code"]: code };
+  if (params && Object.keys(params).length) out[field + "Params"] = params;
+  return out;
+}
+
+// A caught error as row fields (inbox / Odoo log entries)
+const errorFields = (e) => isCode(e?.code) ? coded("error", e.code, e.params) : { error: String(e?.message || e) };
+
+// Row lists that can hold coded reason / error fields (parse reports, execute-all failures,
+// unmatched sales, limits import errors, ledger entries, inbox / Odoo log entries)
+const ROW_LISTS = ["skipped", "ambiguous", "warnings", "duplicates", "failures", "rows", "errors", "entries", "results"];
+const CODED_FIELDS = ["reason", "error", "message"];
+
+// Only fields with a <field>Code are rewritten: shortReason, skipReason, a ledger entry's note and
+// anything else a user typed never are
+function localizeFields(lang, x) {
+  if (!x || typeof x !== "object") return x;
+  const out = { ...x };
+  for (const f of CODED_FIELDS) {
+    if (isCode(out[f + "Code"])) out[f] = fromCode(lang, out[f + "Code"], out[f + "Params"]);
+  }
+  return out;
+}
+
+// Response bodies: an error { code, params } gets its text in lang, coded fields and rows too
+function localizeBody(body, lang, status) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return body;
+  const out = localizeFields(lang, body);
+  if (status >= 400 && isCode(out.code)) out.error = fromCode(lang, out.code, out.params);
+  else if (typeof out.error === "string") out.code = status >= 500 ? "SERVER_ERROR" : "ERROR";
+  for (const k of ROW_LISTS) if (Array.isArray(out[k])) out[k] = out[k].map(x => localizeFields(lang, x));
+  return out;
+}
+
+module.exports = { LANGS, MESSAGES, HEADERS, VALUES, requestLang, t, codedError, errorBody, coded, errorFields, localizeBody, value };
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const { codedError, errorFields } = require("./i18n");
+
+/* =========================
+   Inbox folder (automatic imports)
+   - the folder is polled; a file whose name matches a rule is imported as stock or sales
+   - a file is taken only when its size/mtime did not change since the previous poll,
+     so a file still being copied in is left alone
+   - stock files go before sales files (sales are planned against today's stock)
+   - imported: moved to <inbox>/archive, failed: to <inbox>/error, with a timestamp prefix
+   - every attempt is one line in the import log
+========================= */
+const INBOX_TYPES = ["stock", "sales"];
+const DEFAULT_CONFIG = { enabled: false, dir: "inbox", intervalSec: 60, rules: [] };
+
+// "stock_*.xlsx" -> /^stock_.*\.xlsx$/i  (* = anything, ? = one character)
+function patternRegex(pattern) {
+  const esc = (s) => s.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  return new RegExp("^" + String(pattern).split("*").map(p => p.split("?").map(esc).join(".")).join(".*") + "$", "i");
+}
+
+function createInbox({ storage, configFile, logFile, baseDir, importers, onError = () => {} }) {
+  let timer = null;
+  const seen = new Map();  // file name -> "size:mtime" at the previous poll
+  const stuck = new Map(); // file name -> "size:mtime" of a file that was imported but could not be moved
+
+  const loadConfig = () => ({ ...DEFAULT_CONFIG, ...storage.load(configFile, {}) });
+
+  function folders(cfg = loadConfig()) {
+    const dir = path.resolve(baseDir, cfg.dir);
+    return { dir, archive: path.join(dir, "archive"), error: path.join(dir, "error") };
+  }
+
+  // Throws on invalid input; returns the config as saved
+  function saveConfig(input) {
+    const b = input || {};
+    const cfg = {
+      enabled: !!b.enabled,
+      dir: String(b.dir || "").trim(),
+      intervalSec: Number(b.intervalSec) || DEFAULT_CONFIG.intervalSec,
+      rules: []
+    };
+    if (!cfg.dir) throw codedError("INBOX_DIR_REQUIRED");
+    if (!Number.isInteger(cfg.intervalSec) || cfg.intervalSec < 10 || cfg.intervalSec > 3600) throw codedError("INBOX_INTERVAL");
+    for (const r of Array.isArray(b.rules) ? b.rules : []) {
+      const rule = {
+        pattern: String(r.pattern || "").trim(),
+        type: String(r.type || "").trim(),
+        profile: String(r.profile || "").trim(),
+        category: String(r.category || "").trim(),
+        mode: String(r.mode || "").trim()
+      };
+      if (!rule.pattern || rule.pattern.length > 100 || /[\\/]/.test(rule.pattern)) throw codedError("INBOX_PATTERN");
+      if (!INBOX_TYPES.includes(rule.type)) throw codedError("INBOX_RULE_TYPE", { types: INBOX_TYPES.join(", ") });
+      cfg.rules.push(rule);
+    }
+    storage.save(configFile, cfg);
+    start();
+    return cfg;
+  }
+
+  function ruleFor(cfg, name) {
+    return cfg.rules.find(r => patternRegex(r.pattern).test(name)) || null;
+  }
+
+  function moveTo(folder, dir, name) {
+    if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
+    const dest = path.join(folder, new Date().toISOString().replace(/[:.]/g, "-") + "_" + name);
+    try {
+      fs.renameSync(path.join(dir, name), dest);
+    } catch (e) {
+      if (e.code !== "EXDEV") throw e; // other disk: copy + delete
+      fs.copyFileSync(path.join(dir, name), dest);
+      fs.unlinkSync(path.join(dir, name));
+    }
+    return path.relative(dir, dest);
+  }
+
+  // One pass over the folder; force skips the "unchanged since last poll" wait (admin "Scan now")
+  function scan({ force = false } = {}) {
+    const cfg = loadConfig();
+    const { dir, archive, error } = folders(cfg);
+    if (!fs.existsSync(dir)) return [];
+
+    const files = [];
+    for (const name of fs.readdirSync(dir).sort()) {
+      const rule = ruleFor(cfg, name);
+      if (!rule) continue;
+      const st = fs.statSync(path.join(dir, name));
+      if (!st.isFile()) continue;
+      files.push({ name, rule, sig: `${st.size}:${st.mtimeMs}` });
+    }
+    for (const n of seen.keys()) if (!files.some(f => f.name === n)) seen.delete(n);
+    for (const n of stuck.keys()) if (!files.some(f => f.name === n && f.sig === stuck.get(n))) stuck.delete(n);
+    files.sort((a, b) => INBOX_TYPES.indexOf(a.rule.type) - INBOX_TYPES.indexOf(b.rule.type));
+
+    const results = [];
+    for (const { name, rule, sig } of files) {
+      if (stuck.has(name)) continue;
+      if (!force && seen.get(name) !== sig) { seen.set(name, sig); continue; }
+      seen.delete(name);
+
+      const entry = { at: new Date().toISOString(), file: name, type: rule.type, pattern: rule.pattern, ok: true };
+      try {
+        entry.result = importers[rule.type](rule, path.join(dir, name), name);
+      } catch (e) {
+        entry.ok = false;
+        Object.assign(entry, errorFields(e));
+      }
+      try {
+        entry.movedTo = moveTo(entry.ok ? archive : error, dir, name);
+      } catch (e) {
+        entry.moveError = String(e.message || e);
+        stuck.set(name, sig);
+      }
+      storage.appendLines(logFile, [JSON.stringify(entry)]);
+      results.push(entry);
+    }
+    return results;
+  }
+
+  function readLog({ limit = 100, ok } = {}) {
+    return storage.readLines(logFile)
+      .map(l => { try { return JSON.parse(l); } catch { return null; } })
+      .filter(e => e && (ok === undefined || e.ok === ok))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  function start() {
+    stop();
+    const cfg = loadConfig();
+    if (!cfg.enabled) return false;
+    timer = setInterval(() => {
+      try { scan(); } catch (e) { onError(e); }
+    }, cfg.intervalSec * 1000);
+    timer.unref();
+    return true;
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  const status = () => ({ ...loadConfig(), running: !!timer, folders: folders() });
+
+  return { loadConfig, saveConfig, status, scan, readLog, start, stop };
+}
+
+module.exports = { createInbox, INBOX_TYPES, patternRegex };
@@ -0,0 +1,137 @@
+/* =========================
+   Mock Odoo (JSON-RPC) for trying the Odoo sync locally
+   - node mock-odoo.js [port]   (default 8069); db "demo", user "admin", password "admin"
+   - answers the calls odoo.js makes: common.version/login, execute_kw search_read/read on
+     stock.location, stock.quant, pos.order.line, sale.order.line, product.product and
+     product.template.attribute.value
+   - domains: =, in, >=, <=, child_of on the (dotted) fields used below
+========================= */
+const http = require("http");
+
+const DB = "demo", USER = "admin", PASSWORD = "admin", UID = 2;
+const today = new Date().toISOString().slice(0, 10);
+const yesterday = new Date(Date.now() - 24 * 3600 * 1000).toISOString().slice(0, 10);
+
+const locations = [
+  { id: 8, complete_name: "WH/Stock", parent: null, usage: "internal" },
+  { id: 20, complete_name: "WH/Stock/Backroom", parent: 8, usage: "internal" },
+  { id: 21, complete_name: "WH/Stock/Floor", parent: 8, usage: "internal" },
+  { id: 5, complete_name: "Partners/Customers", parent: null, usage: "customer" }
+];
+const attributes = [
+  { id: 101, attribute_id: [1, "Size"], name: "8" },
+  { id: 102, attribute_id: [2, "Color"], name: "منت" },
+  { id: 103, attribute_id: [1, "Size"], name: "S" },
+  { id: 104, attribute_id: [1, "Size"], name: "M" },
+  { id: 105, attribute_id: [2, "Color"], name: "Red" }
+];
+const products = [
+  { id: 1, default_code: "525797449", display_name: "[525797449] Pajama (8, منت)", categ_id: [11, "All / Saleable / Boys / Homewear / Pajama"], product_template_attribute_value_ids: [101, 102] },
+  { id: 2, default_code: "600000001", display_name: "[600000001] Dress (S, Red)", categ_id: [12, "All / Saleable / Girls / Dress"], product_template_attribute_value_ids: [103, 105] },
+  { id: 3, default_code: "600000001", display_name: "[600000001] Dress (M, Red)", categ_id: [12, "All / Saleable / Girls / Dress"], product_template_attribute_value_ids: [104, 105] },
+  // no attribute values: size/color come from the display name
+  { id: 4, default_code: "525797448", display_name: "[525797448] Pajama (كافية, 4)", categ_id: [11, "All / Saleable / Boys / Homewear / Pajama"], product_template_attribute_value_ids: [] },
+  { id: 5, default_code: false, display_name: "Gift Card", categ_id: [1, "All"], product_template_attribute_value_ids: [] }
+];
+const product = (id) => [id, products.find(p => p.id === id).display_name];
+
+const quants = [
+  { id: 1, product_id: product(1), quantity: 5, location: 20 },
+  { id: 2, product_id: product(1), quantity: 2, location: 21 },
+  { id: 3, product_id: product(2), quantity: 6, location: 20 },
+  { id: 4, product_id: product(3), quantity: 4, location: 20 },
+  { id: 5, product_id: product(4), quantity: 3, location: 20 },
+  { id: 6, product_id: product(5), quantity: 100, location: 20 },
+  { id: 7, product_id: product(2), quantity: 9, location: 5 }
+];
+const posLines = [
+  { id: 1, product_id: product(1), qty: 2, date: `${yesterday} 10:15:00`, state: "paid", location: 21 },
+  { id: 2, product_id: product(2), qty: 1, date: `${yesterday} 12:40:00`, state: "done", location: 21 },
+  { id: 3, product_id: product(2), qty: 1, date: `${yesterday} 18:05:00`, state: "invoiced", location: 21 },
+  { id: 4, product_id: product(2), qty: -1, date: `${yesterday} 19:00:00`, state: "paid", location: 21 }, // refund
+  { id: 5, product_id: product(4), qty: 1, date: `${today} 09:00:00`, state: "paid", location: 21 },
+  { id: 6, product_id: product(3), qty: 3, date: `${yesterday} 11:00:00`, state: "cancel", location: 21 }
+];
+const saleLines = [
+  { id: 1, product_id: product(3), product_uom_qty: 1, date: `${yesterday} 14:00:00`, state: "sale", location: 8 }
+];
+
+// model -> { records, field name -> value getter }
+const MODELS = {
+  "stock.location": { records: locations, fields: { id: r => r.id, complete_name: r => r.complete_name } },
+  "stock.quant": {
+    records: quants,
+    fields: { "location_id": r => r.location, "location_id.usage": r => locations.find(l => l.id === r.location).usage }
+  },
+  "pos.order.line": {
+    records: posLines,
+    fields: { "order_id.date_order": r => r.date, "order_id.state": r => r.state, "order_id.config_id.picking_type_id.default_src_location_id": r => r.location }
+  },
+  "sale.order.line": {
+    records: saleLines,
+    fields: { "order_id.date_order": r => r.date, "order_id.state": r => r.state, "order_id.warehouse_id.lot_stock_id": r => r.location }
+  },
+  "product.product": { records: products, fields: {} },
+  "product.template.attribute.value": { records: attributes, fields: {} }
+};
+
+function isUnder(locId, rootId) {
+  for (let l = locations.find(x => x.id === locId); l; l = locations.find(x => x.id === l.parent)) if (l.id === rootId) return true;
+  return false;
+}
+
+function matches(model, record, domain) {
+  return domain.every(([field, op, value]) => {
+    const get = MODELS[model].fields[field];
+    if (!get) throw new Error(`Invalid field ${field} on ${model}`);
+    const v = get(record);
+    if (op === "=") return v === value;
+    if (op === "in") return value.includes(v);
+    if (op === ">=") return v >= value;
+    if (op === "<=") return v <= value;
+    if (op === "child_of") return isUnder(v, value);
+    throw new Error(`Unsupported operator ${op}`);
+  });
+}
+
+const pick = (r, fields) => Object.fromEntries(["id", ...(fields || Object.keys(r))].map(f => [f, r[f] ?? false]));
+
+function executeKw([db, uid, password, model, method, args, kwargs = {}]) {
+  if (db !== DB || uid !== UID || password !== PASSWORD) throw new Error("Access Denied");
+  const m = MODELS[model];
+  if (!m) throw new Error(`Object ${model} doesn't exist`);
+  if (method === "search_read") {
+    const found = m.records.filter(r => matches(model, r, args[0] || []));
+    const offset = kwargs.offset || 0;
+    return found.slice(offset, kwargs.limit ? offset + kwargs.limit : undefined).map(r => pick(r, kwargs.fields));
+  }
+  if (method === "read") return m.records.filter(r => args[0].includes(r.id)).map(r => pick(r, kwargs.fields));
+  throw new Error(`Method ${method} not supported by the mock`);
+}
+
+function answer(body) {
+  const { service, method, args } = body.params || {};
+  if (service === "common" && method === "version") return { server_version: "17.0-mock", server_version_info: [17, 0, 0, "final", 0] };
+  if (service === "common" && method === "login") return args[0] === DB && args[1] === USER && args[2] === PASSWORD ? UID : false;
+  if (service === "object" && method === "execute_kw") return executeKw(args);
+  throw new Error(`${service}.${method} not supported by the mock`);
+}
+
+const port = Number(process.argv[2]) || 8069;
+http.createServer((req, res) => {
+  if (req.method !== "POST" || req.url !== "/jsonrpc") { res.writeHead(404).end(); return; }
+  let raw = "";
+  req.on("data", c => { raw += c; });
+  req.on("end", () => {
+    let body = {};
+    let out;
+    try {
+      body = JSON.parse(raw);
+      out = { jsonrpc: "2.0", id: body.id ?? null, result: answer(body) };
+    } catch (e) {
+      out = { jsonrpc: "2.0", id: body.id ?? null, error: { code: 200, message: "Odoo Server Error", data: { name: "odoo.exceptions.UserError", message: e.message } } };
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(out));
+  });
+}).listen(port, () => console.log(`Mock Odoo on http://localhost:${port}/jsonrpc (db ${DB}, ${USER}/${PASSWORD})`));
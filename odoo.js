@@ -0,0 +1,326 @@
+const { codedError, errorFields } = require("./i18n");
+
+/* =========================
+   Odoo connector (JSON-RPC on <url>/jsonrpc)
+   - stock: stock.quant on hand in internal locations under the configured location
+   - sales: pos.order.line and/or sale.order.line for a date range (order date, as stored by Odoo)
+   - products are read once per sync: default_code = sku, categ_id = category, size/color
+     from the variant's attribute values (matched by attribute name), else parsed from the
+     "[sku] Name (color, size)" display name the file imports use
+   - rows come back as { sku, size, color, category, qty, row } for parseColumnRows()
+   - scheduled syncs: once a day at schedule.stock / schedule.sales ("HH:MM", server time);
+     scheduled sales cover the salesDays full days before today
+========================= */
+const SYNC_KINDS = ["stock", "sales"];
+const SALES_SOURCES = {
+  pos: {
+    model: "pos.order.line",
+    qtyField: "qty",
+    states: ["paid", "done", "invoiced"],
+    locationField: "order_id.config_id.picking_type_id.default_src_location_id"
+  },
+  sale: {
+    model: "sale.order.line",
+    qtyField: "product_uom_qty",
+    states: ["sale", "done"],
+    locationField: "order_id.warehouse_id.lot_stock_id"
+  }
+};
+const DEFAULT_CONFIG = {
+  enabled: false,
+  url: "",
+  db: "",
+  username: "",
+  password: "",
+  location: "",
+  sizeAttributes: ["Size", "المقاس"],
+  colorAttributes: ["Color", "اللون"],
+  salesSources: ["pos"],
+  salesDays: 1,
+  category: "",
+  mode: "minmax",
+  schedule: { stock: "", sales: "" },
+  lastRuns: {}
+};
+const PAGE_SIZE = 2000;
+const DAY_MS = 24 * 3600 * 1000;
+
+function createOdooClient({ url, db, username, password, timeoutMs = 30000 }) {
+  let uid = null;
+  let seq = 0;
+
+  async function call(service, method, args) {
+    const res = await fetch(String(url).replace(/\/+$/, "") + "/jsonrpc", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", method: "call", params: { service, method, args }, id: ++seq }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!res.ok) throw codedError("ODOO_HTTP", { status: res.status }, 502);
+    const data = await res.json();
+    if (data.error) throw codedError("ODOO_ERROR", { message: data.error.data?.message || data.error.message || "error" }, 502);
+    return data.result;
+  }
+
+  async function login() {
+    uid = await call("common", "login", [db, username, password]);
+    if (!uid) throw codedError("ODOO_LOGIN_FAILED", {}, 502);
+    return uid;
+  }
+
+  async function executeKw(model, method, args, kwargs = {}) {
+    if (!uid) await login();
+    return call("object", "execute_kw", [db, uid, password, model, method, args, kwargs]);
+  }
+
+  // search_read in pages, so a big stock.quant does not come back as one huge answer
+  async function searchRead(model, domain, fields) {
+    const out = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await executeKw(model, "search_read", [domain], { fields, offset, limit: PAGE_SIZE, order: "id" });
+      out.push(...page);
+      if (page.length < PAGE_SIZE) return out;
+    }
+  }
+
+  return { login, version: () => call("common", "version", []), executeKw, searchRead };
+}
+
+// Location id, or its full name ("WH/Stock/Backroom"); "" = no filter
+async function resolveLocation(client, location) {
+  const loc = String(location ?? "").trim();
+  if (!loc) return null;
+  if (/^\d+$/.test(loc)) return Number(loc);
+  const found = await client.searchRead("stock.location", [["complete_name", "=", loc]], ["id"]);
+  if (!found.length) throw codedError("ODOO_LOCATION", { location: loc });
+  return found[0].id;
+}
+
+// product id -> { sku, size, color, category }
+async function readProducts(client, ids, cfg, parseText) {
+  const products = [];
+  for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+    products.push(...await client.executeKw("product.product", "read", [ids.slice(i, i + PAGE_SIZE)],
+      { fields: ["default_code", "display_name", "categ_id", "product_template_attribute_value_ids"] }));
+  }
+  const valueIds = [...new Set(products.flatMap(p => p.product_template_attribute_value_ids || []))];
+  const values = valueIds.length
+    ? await client.executeKw("product.template.attribute.value", "read", [valueIds], { fields: ["attribute_id", "name"] })
+    : [];
+  const valueById = new Map(values.map(v => [v.id, v]));
+  const names = (list) => (list || []).map(n => String(n).trim().toLowerCase());
+  const sizeNames = names(cfg.sizeAttributes), colorNames = names(cfg.colorAttributes);
+
+  const out = new Map();
+  for (const p of products) {
+    const vals = (p.product_template_attribute_value_ids || []).map(id => valueById.get(id)).filter(Boolean);
+    const attr = (wanted) => vals.find(v => wanted.includes(String(v.attribute_id?.[1] || "").trim().toLowerCase()))?.name;
+    const code = p.default_code ? String(p.default_code).trim() : "";
+    const display = String(p.display_name || "");
+    const fromName = parseText(/\[[^\]]+\]/.test(display) || !code ? display : `[${code}] ${display}`);
+    out.set(p.id, {
+      sku: code || fromName.sku,
+      size: String(attr(sizeNames) ?? fromName.size ?? "").trim(),
+      color: String(attr(colorNames) ?? fromName.color ?? "").trim(),
+      category: p.categ_id ? String(p.categ_id[1]) : ""
+    });
+  }
+  return out;
+}
+
+// [{ product_id: [id, name], <qtyField> }] -> rows for parseColumnRows(); products without a sku are left out
+async function toRows(client, records, qtyField, cfg, parseText) {
+  const qtyById = new Map();
+  for (const r of records) {
+    const id = Array.isArray(r.product_id) ? r.product_id[0] : r.product_id;
+    if (id) qtyById.set(id, (qtyById.get(id) || 0) + (Number(r[qtyField]) || 0));
+  }
+  const products = await readProducts(client, [...qtyById.keys()], cfg, parseText);
+  const rows = [];
+  let row = 0;
+  for (const [id, qty] of qtyById) {
+    const p = products.get(id);
+    if (p?.sku) rows.push({ ...p, qty, row: ++row });
+  }
+  return rows;
+}
+
+async function fetchStock(client, cfg, parseText) {
+  const loc = await resolveLocation(client, cfg.location);
+  const domain = [["location_id.usage", "=", "internal"]];
+  if (loc) domain.push(["location_id", "child_of", loc]);
+  const quants = await client.searchRead("stock.quant", domain, ["product_id", "quantity"]);
+  return toRows(client, quants, "quantity", cfg, parseText);
+}
+
+// from/to: "YYYY-MM-DD", both days included
+async function fetchSales(client, cfg, { from, to }, parseText) {
+  const loc = await resolveLocation(client, cfg.location);
+  const records = [];
+  for (const name of cfg.salesSources) {
+    const src = SALES_SOURCES[name];
+    const domain = [
+      ["order_id.date_order", ">=", `${from} 00:00:00`],
+      ["order_id.date_order", "<=", `${to} 23:59:59`],
+      ["order_id.state", "in", src.states]
+    ];
+    if (loc) domain.push([src.locationField, "child_of", loc]);
+    for (const r of await client.searchRead(src.model, domain, ["product_id", src.qtyField])) {
+      records.push({ product_id: r.product_id, qty: r[src.qtyField] });
+    }
+  }
+  return toRows(client, records, "qty", cfg, parseText);
+}
+
+const localDay = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+// apply(kind, lines, meta, by) saves the import and returns its summary (see server.js)
+function createOdoo({ storage, configFile, logFile, parseText, parseRows, apply, onError = () => {} }) {
+  let timer = null;
+  const busy = new Set();
+
+  const loadConfig = () => {
+    const saved = storage.load(configFile, {});
+    return { ...DEFAULT_CONFIG, ...saved, schedule: { ...DEFAULT_CONFIG.schedule, ...saved.schedule } };
+  };
+  const publicConfig = ({ password, ...cfg }) => ({ ...cfg, hasPassword: !!password });
+
+  // Throws on invalid input. An empty password keeps the stored one, a missing field its stored value.
+  function saveConfig(input) {
+    const old = loadConfig();
+    const b = { ...old, ...input, schedule: { ...old.schedule, ...input?.schedule } };
+    const list = (v) => (Array.isArray(v) ? v : String(v || "").split(",")).map(x => String(x).trim()).filter(Boolean);
+    const cfg = {
+      enabled: !!b.enabled,
+      url: String(b.url || "").trim(),
+      db: String(b.db || "").trim(),
+      username: String(b.username || "").trim(),
+      password: input?.password ? String(input.password) : old.password,
+      location: String(b.location ?? "").trim(),
+      sizeAttributes: list(b.sizeAttributes),
+      colorAttributes: list(b.colorAttributes),
+      salesSources: list(b.salesSources),
+      salesDays: Number(b.salesDays) || 1,
+      category: String(b.category || "").trim(),
+      mode: String(b.mode || "minmax").trim(),
+      schedule: { stock: String(b.schedule?.stock || "").trim(), sales: String(b.schedule?.sales || "").trim() },
+      lastRuns: old.lastRuns
+    };
+    if (cfg.url && !/^https?:\/\/\S+$/.test(cfg.url)) throw codedError("ODOO_URL");
+    if (cfg.enabled && (!cfg.url || !cfg.db || !cfg.username || !cfg.password)) throw codedError("ODOO_REQUIRED");
+    if (!cfg.salesSources.length) cfg.salesSources = ["pos"];
+    for (const s of cfg.salesSources) if (!SALES_SOURCES[s]) throw codedError("ODOO_SOURCES", { sources: Object.keys(SALES_SOURCES).join(", ") });
+    if (!Number.isInteger(cfg.salesDays) || cfg.salesDays < 1 || cfg.salesDays > 90) throw codedError("ODOO_SALES_DAYS");
+    for (const k of SYNC_KINDS) {
+      if (cfg.schedule[k] && !/^([01]\d|2[0-3]):[0-5]\d$/.test(cfg.schedule[k])) throw codedError("ODOO_SCHEDULE", { kind: k });
+    }
+    storage.save(configFile, cfg);
+    start();
+    return publicConfig(cfg);
+  }
+
+  function client(cfg = loadConfig()) {
+    if (!cfg.url || !cfg.db || !cfg.username) throw codedError("ODOO_NOT_CONFIGURED", {}, 400);
+    return createOdooClient(cfg);
+  }
+
+  async function test() {
+    const c = client();
+    const version = await c.version();
+    const uid = await c.login();
+    return { uid, serverVersion: version?.server_version || null };
+  }
+
+  // Default sales range: the salesDays full days before today
+  function defaultRange(cfg, now = new Date()) {
+    const to = now.getTime() - DAY_MS;
+    return { from: localDay(new Date(to - (cfg.salesDays - 1) * DAY_MS)), to: localDay(new Date(to)) };
+  }
+
+  // Fetch, then hand the lines to apply(); every attempt ends up in the log
+  async function sync(kind, { from, to, category, mode, by, scheduled = false } = {}) {
+    if (!SYNC_KINDS.includes(kind)) throw codedError("ODOO_KIND", { kinds: SYNC_KINDS.join(", ") });
+    const cfg = loadConfig();
+    const range = kind === "sales" ? (from || to ? { from, to } : defaultRange(cfg)) : null;
+    if (range && !(/^\d{4}-\d{2}-\d{2}$/.test(range.from) && /^\d{4}-\d{2}-\d{2}$/.test(range.to) && range.from <= range.to)) {
+      throw codedError("ODOO_RANGE");
+    }
+    if (busy.has(kind)) throw codedError("ODOO_BUSY", { kind });
+    busy.add(kind);
+    const entry = { at: new Date().toISOString(), kind, by, scheduled, ok: true, ...range };
+    let importing = false;
+    try {
+      const c = client(cfg);
+      let rows;
+      if (kind === "stock") {
+        rows = await fetchStock(c, cfg, parseText);
+        entry.source = `odoo:stock.quant${cfg.location ? " " + cfg.location : ""}`;
+      } else {
+        rows = await fetchSales(c, cfg, range, parseText);
+        entry.source = `odoo:sales ${range.from}..${range.to}`;
+      }
+      importing = true;
+      const lines = parseRows(rows);
+      entry.rows = rows.length;
+      entry.result = apply(kind, lines, {
+        sourceName: entry.source,
+        from: entry.from,
+        to: entry.to,
+        days: entry.from ? Math.round((Date.parse(entry.to) - Date.parse(entry.from)) / DAY_MS) + 1 : null,
+        category: category ?? cfg.category,
+        mode: mode || cfg.mode
+      }, by);
+    } catch (e) {
+      entry.ok = false;
+      // Odoo unreachable or refusing: 502; an import the app rejected keeps its own status
+      entry.errorStatus = e.status || (importing ? 500 : 502);
+      Object.assign(entry, errorFields(e));
+    } finally {
+      busy.delete(kind);
+    }
+    storage.appendLines(logFile, [JSON.stringify(entry)]);
+    return entry;
+  }
+
+  function readLog({ limit = 100, kind } = {}) {
+    return storage.readLines(logFile)
+      .map(l => { try { return JSON.parse(l); } catch { return null; } })
+      .filter(e => e && (!kind || e.kind === kind))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  // Checked every minute; a job runs once per day, at or after its time
+  async function tick(now = new Date()) {
+    const cfg = loadConfig();
+    if (!cfg.enabled) return;
+    const today = localDay(now);
+    const hhmm = `${String(now.getHours()).padStart(2, "0")}:${String(now.getMinutes()).padStart(2, "0")}`;
+    for (const kind of SYNC_KINDS) {
+      const at = cfg.schedule[kind];
+      if (!at || hhmm < at || cfg.lastRuns[kind] === today || busy.has(kind)) continue;
+      storage.save(configFile, { ...storage.load(configFile, {}), lastRuns: { ...cfg.lastRuns, [kind]: today } });
+      const entry = await sync(kind, { by: "odoo", scheduled: true });
+      if (!entry.ok) onError(new Error(`scheduled ${kind} sync: ${entry.error}`));
+    }
+  }
+
+  function start() {
+    stop();
+    if (!loadConfig().enabled) return false;
+    timer = setInterval(() => tick().catch(onError), 60 * 1000);
+    timer.unref();
+    return true;
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  const status = () => ({ ...publicConfig(loadConfig()), running: !!timer, syncing: [...busy], defaultRange: defaultRange(loadConfig()) });
+
+  return { loadConfig, saveConfig, status, test, sync, readLog, tick, start, stop };
+}
+
+module.exports = { createOdoo, createOdooClient, SYNC_KINDS, SALES_SOURCES };
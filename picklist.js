@@ -0,0 +1,244 @@
+/* =========================
+   Pick-list PDF (pdfkit)
+   - lines grouped under category headers, subtotal per category
+   - Code128 barcode per SKU, tick box per line
+   - title, run metadata + column header repeated on every page, "page x of y" footer
+   - right-to-left layout for Arabic: text is split into direction runs, so numbers and
+     Latin inside Arabic text keep their order (fontkit reverses whole RTL strings)
+========================= */
+
+// Code128 bar/space widths for values 0..106 (106 = stop)
+const CODE128 = (
+  "212222 222122 222221 121223 121322 131222 122213 122312 132212 221213 221312 231212 112232 122132 " +
+  "122231 113222 123122 123221 223211 221132 221231 213212 223112 312131 311222 321122 321221 312212 " +
+  "322112 322211 212123 212321 232121 111323 131123 131321 112313 132113 132311 211313 231113 231311 " +
+  "112133 112331 132131 113123 113321 133121 313121 211331 231131 213113 213311 213131 311123 311321 " +
+  "331121 312113 312311 332111 314111 221411 431111 111224 111422 121124 121421 141122 141221 112214 " +
+  "112412 122114 122411 142112 142211 241211 221114 413111 241112 134111 111242 121142 121241 114212 " +
+  "124112 124211 411212 421112 421211 212141 214121 412121 111143 111341 131141 114113 114311 411113 " +
+  "411311 113141 114131 311141 411131 211412 211214 211232 2331112"
+).split(" ");
+const START_B = 104, START_C = 105, CODE_B = 100, STOP = 106;
+
+// Values for a string: code set C for digit pairs (SKUs are numeric), B otherwise
+function code128Values(text) {
+  const s = String(text);
+  const values = [];
+  if (/^\d{2,}$/.test(s)) {
+    values.push(START_C);
+    let i = 0;
+    for (; i + 1 < s.length; i += 2) values.push(Number(s.slice(i, i + 2)));
+    if (i < s.length) values.push(CODE_B, s.charCodeAt(i) - 32);
+  } else {
+    values.push(START_B);
+    for (const ch of s) {
+      const c = ch.charCodeAt(0);
+      values.push(c >= 32 && c <= 126 ? c - 32 : "?".charCodeAt(0) - 32);
+    }
+  }
+  const check = values.reduce((sum, v, i) => sum + v * (i || 1), 0) % 103;
+  values.push(check, STOP);
+  return values;
+}
+
+// Module widths, bar first: [2,1,2,2,2,2, ...]
+function code128(text) {
+  return code128Values(text).flatMap(v => CODE128[v].split("").map(Number));
+}
+
+function drawBarcode(doc, text, x, y, width, height) {
+  const widths = code128(text);
+  const quiet = 10;
+  const total = widths.reduce((s, w) => s + w, 0) + quiet * 2;
+  const unit = width / total;
+  let cx = x + quiet * unit;
+  widths.forEach((w, i) => {
+    if (i % 2 === 0) doc.rect(cx, y, w * unit, height).fill("#000");
+    cx += w * unit;
+  });
+}
+
+/* ---------- right-to-left text ---------- */
+const RTL_CHAR = /[\u0590-\u065F\u066A-\u06EF\u06FA-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+const LTR_CHAR = /[A-Za-z0-9\u00C0-\u024F\u0660-\u0669\u06F0-\u06F9]/;
+
+// Visual runs for one line. Neutrals (spaces, punctuation) between two LTR characters stay
+// LTR, everything else follows the paragraph direction.
+function bidiRuns(text, rtl) {
+  const chars = Array.from(String(text));
+  const strong = chars.map(ch => RTL_CHAR.test(ch) ? "R" : LTR_CHAR.test(ch) ? "L" : null);
+  const base = rtl ? "R" : "L";
+  const dirs = strong.map((d, i) => {
+    if (d) return d;
+    const prev = strong.slice(0, i).reverse().find(Boolean);
+    const next = strong.slice(i + 1).find(Boolean);
+    return prev && prev === next ? prev : base;
+  });
+
+  const runs = [];
+  chars.forEach((ch, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.dir === dirs[i]) last.text += ch;
+    else runs.push({ dir: dirs[i], text: ch });
+  });
+  return rtl ? runs.reverse() : runs;
+}
+
+// One line of text inside [x, x+width], cut with "…" when too long
+function drawText(doc, text, x, y, { width, align = "left", rtl = false } = {}) {
+  let s = String(text ?? "");
+  const measure = (t) => bidiRuns(t, rtl).reduce((w, r) => w + doc.widthOfString(r.text), 0);
+  if (width && measure(s) > width) {
+    const chars = Array.from(s);
+    while (chars.length && measure(chars.join("") + "…") > width) chars.pop();
+    s = chars.join("") + "…";
+  }
+
+  const w = measure(s);
+  let cx = align === "right" ? x + (width || 0) - w : align === "center" ? x + ((width || 0) - w) / 2 : x;
+  for (const run of bidiRuns(s, rtl)) {
+    doc.text(run.text, cx, y, { lineBreak: false });
+    cx += doc.widthOfString(run.text);
+  }
+}
+
+/* ---------- the document ---------- */
+// opts = {
+//   title, meta: [[label, value]], rtl, fontPath,
+//   labels: { sku, size, color, qty, subtotal, total, continued, page, of, lines, pieces },
+//   groups: [{ category, lines: [{ sku, size, color, qty, done }] }]
+// }
+function writePickList(doc, opts) {
+  const { title, meta = [], groups = [], labels, rtl = false } = opts;
+  if (opts.fontPath) {
+    doc.registerFont("AR", opts.fontPath);
+    doc.font("AR");
+  } else {
+    doc.font("Helvetica");
+  }
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const contentWidth = right - left;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const align = rtl ? "right" : "left";
+
+  // Columns in reading order; placed from the right edge when rtl
+  const columns = [
+    { key: "tick", width: 26 },
+    { key: "sku", width: 150, label: labels.sku },
+    { key: "size", width: 80, label: labels.size },
+    { key: "color", width: 0, label: labels.color },
+    { key: "qty", width: 60, label: labels.qty }
+  ];
+  columns[3].width = contentWidth - columns.reduce((s, c) => s + c.width, 0);
+  let cursor = 0;
+  for (const c of columns) {
+    c.x = rtl ? right - cursor - c.width : left + cursor;
+    cursor += c.width;
+  }
+  const col = Object.fromEntries(columns.map(c => [c.key, c]));
+  const ROW_H = 36;
+
+  let y = 0;
+  function pageHeader() {
+    y = doc.page.margins.top;
+    doc.fontSize(15);
+    drawText(doc, title, left, y, { width: contentWidth, align: "center", rtl });
+    y += 24;
+
+    doc.fontSize(9).fillColor("#374151");
+    const half = contentWidth / 2;
+    meta.forEach(([label, value], i) => {
+      const x = (i % 2 === 0) === rtl ? left + half : left;
+      drawText(doc, `${label}: ${value ?? "-"}`, x, y, { width: half - 8, align, rtl });
+      if (i % 2 === 1 || i === meta.length - 1) y += 14;
+    });
+    doc.fillColor("#000");
+
+    y += 6;
+    doc.rect(left, y, contentWidth, 20).fill("#f3f4f6");
+    doc.fillColor("#000").fontSize(10);
+    for (const c of columns) {
+      if (c.label) drawText(doc, c.label, c.x + 4, y + 5, { width: c.width - 8, align: c.key === "qty" ? "center" : align, rtl });
+    }
+    y += 24;
+  }
+
+  function ensureSpace(h, group) {
+    if (y + h <= bottom() - 20) return;
+    doc.addPage();
+    pageHeader();
+    if (group) groupHeader(group, true);
+  }
+
+  function groupHeader(group, continued) {
+    doc.rect(left, y, contentWidth, 20).fill("#111827");
+    doc.fillColor("#fff").fontSize(11);
+    drawText(doc, group.category + (continued ? ` (${labels.continued})` : ""), left + 6, y + 4, { width: contentWidth - 12, align, rtl });
+    doc.fillColor("#000");
+    y += 24;
+  }
+
+  function line(l) {
+    const box = col.tick;
+    doc.lineWidth(1).rect(box.x + (box.width - 14) / 2, y + 8, 14, 14).stroke();
+    if (l.done) {
+      const bx = box.x + (box.width - 14) / 2;
+      doc.moveTo(bx + 3, y + 15).lineTo(bx + 6, y + 19).lineTo(bx + 12, y + 10).stroke();
+    }
+
+    drawBarcode(doc, l.sku, col.sku.x + 4, y + 3, col.sku.width - 8, 20);
+    doc.fontSize(8);
+    drawText(doc, l.sku, col.sku.x + 4, y + 24, { width: col.sku.width - 8, align: "center" });
+
+    doc.fontSize(11);
+    drawText(doc, l.size, col.size.x + 4, y + 11, { width: col.size.width - 8, align, rtl });
+    drawText(doc, l.color, col.color.x + 4, y + 11, { width: col.color.width - 8, align, rtl });
+    doc.fontSize(13);
+    drawText(doc, l.qty, col.qty.x, y + 10, { width: col.qty.width, align: "center" });
+
+    y += ROW_H;
+    doc.strokeColor("#e5e7eb").moveTo(left, y - 2).lineTo(right, y - 2).stroke().strokeColor("#000");
+  }
+
+  function totalRow(text) {
+    doc.fontSize(10);
+    drawText(doc, text, left, y + 2, { width: contentWidth - 4, align, rtl });
+    y += 22;
+  }
+
+  pageHeader();
+  let totalQty = 0, totalLines = 0;
+  for (const group of groups) {
+    ensureSpace(24 + ROW_H);
+    groupHeader(group, false);
+    let qty = 0;
+    for (const l of group.lines) {
+      ensureSpace(ROW_H, group);
+      line(l);
+      qty += Number(l.qty) || 0;
+    }
+    ensureSpace(22, group);
+    totalRow(`${labels.subtotal}: ${qty} ${labels.pieces} / ${group.lines.length} ${labels.lines}`);
+    totalQty += qty;
+    totalLines += group.lines.length;
+  }
+  ensureSpace(24);
+  doc.fontSize(12);
+  drawText(doc, `${labels.total}: ${totalQty} ${labels.pieces} / ${totalLines} ${labels.lines}`, left, y + 4, { width: contentWidth, align, rtl });
+
+  // Footer on every page; margin lifted so writing below it does not open a new page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const oldBottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fontSize(9).fillColor("#6b7280");
+    drawText(doc, `${labels.page} ${i + 1} ${labels.of} ${range.count}`, left, doc.page.height - oldBottom + 8, { width: contentWidth, align: "center", rtl });
+    doc.fillColor("#000");
+    doc.page.margins.bottom = oldBottom;
+  }
+}
+
+module.exports = { writePickList, code128, bidiRuns };
@@ -0,0 +1,895 @@
+/* =========================
+   UI text catalogs (ar / en)
+   - data-i18n* attributes in index.html and t(key, params) in its script read from here
+   - {param} placeholders are filled by t(); API messages are localized on the server (../i18n.js)
+========================= */
+const UI_TEXT = {
+  ar: {
+    "app.intro": "- New Collection: بعد Clear + Update يطلع 1 قطعة لكل SKU/Size/Color (Pending). وبعد التحديث العادي يطلع الجديد فقط (Pending).<br/> - Execute في New Collection ينقل 1 من المخزن (Backroom) للصالة (Floor).<br/> - المخزون الحالي يظهر Backroom و Floor (أي واحد > 0) + Search.<br/> - Replan: Sales>0 + Balance>0 و PullQty حسب Min/Max لكل SKU (Default 1/1) ناقص اللي موجود في الصالة.<br/> - Dashboard: أكثر أصناف/كاتيجوري عملت Replan + أصناف مفيش عليها Replan من فترة.",
+    "app.title": "نظام الريبلانش",
+
+    "cat.all": "الكل",
+    "cat.count": "{lines} سطر · {pcs} قطعة",
+    "cat.stockEmpty": "المخزون فاضي",
+    "cat.tree": "شجرة الفئات",
+
+    "col.added": "+اتضاف",
+    "col.after": "بعد",
+    "col.avgDaily": "متوسط يومي",
+    "col.backroom": "المخزن",
+    "col.backroomNow": "المخزن الآن",
+    "col.balance": "الرصيد",
+    "col.before": "قبل",
+    "col.by": "بواسطة",
+    "col.category": "الفئة",
+    "col.change": "التغيير",
+    "col.code": "الكود",
+    "col.color": "اللون",
+    "col.columns": "الأعمدة",
+    "col.created": "اتعمل",
+    "col.date": "التاريخ",
+    "col.daysOfCover": "أيام التغطية",
+    "col.delta": "التغيير",
+    "col.error": "الخطأ",
+    "col.execute": "تنفيذ",
+    "col.file": "الملف",
+    "col.floor": "الصالة",
+    "col.header": "العناوين",
+    "col.kind": "النوع",
+    "col.lastExecute": "آخر تنفيذ",
+    "col.lastRun": "آخر ران",
+    "col.location": "المكان",
+    "col.name": "الاسم",
+    "col.onHand": "الرصيد الحالي",
+    "col.pullQty": "كمية السحب",
+    "col.qty": "الكمية",
+    "col.range": "الفترة",
+    "col.reason": "السبب",
+    "col.removed": "-اتشال",
+    "col.result": "النتيجة",
+    "col.role": "الصلاحية",
+    "col.row": "الصف",
+    "col.runs": "عدد الرانات",
+    "col.sales": "المبيعات",
+    "col.scanned": "اتعمله سكان",
+    "col.sellThrough": "نسبة البيع",
+    "col.sheet": "الشيت",
+    "col.size": "المقاس",
+    "col.sizes": "المقاسات",
+    "col.sku": "SKU",
+    "col.sold": "المباع",
+    "col.source": "المصدر",
+    "col.status": "الحالة",
+    "col.stock": "المخزن",
+    "col.stockQty": "المخزن",
+    "col.time": "الوقت",
+    "col.type": "النوع",
+
+    "common.add": "إضافة",
+    "common.addRule": "إضافة قاعدة",
+    "common.cancelledNothingSaved": "اتلغى (مفيش حاجة اتحفظت)",
+    "common.categoryOptional": "الفئة (اختياري)",
+    "common.checkingFile": "بيتم فحص الملف...",
+    "common.delete": "حذف",
+    "common.deleted": "اتمسح ✅",
+    "common.edit": "تعديل",
+    "common.enabled": "مفعل",
+    "common.error": "خطأ: {error}",
+    "common.exportExcel": "تصدير Excel",
+    "common.from": "من",
+    "common.fromOptional": "من (اختياري)",
+    "common.importProfile": "Import Profile",
+    "common.lines": "السطور",
+    "common.loading": "بيتم التحميل...",
+    "common.mode": "الطريقة",
+    "common.no": "لأ",
+    "common.none": "مفيش",
+    "common.ok": "تمام",
+    "common.pickListPdf": "قائمة السحب PDF",
+    "common.previewDone": "معاينة ✅ (مفيش حاجة اتحفظت)",
+    "common.save": "حفظ",
+    "common.saved": "اتحفظ ✅",
+    "common.shortfallReport": "تقرير العجز",
+    "common.sizeOptional": "المقاس (اختياري)",
+    "common.to": "إلى",
+    "common.toOptional": "إلى (اختياري)",
+    "common.unknown": "غير معروف",
+    "common.yes": "أيوه",
+
+    "dash.backroomPieces": "قطع المخزن",
+    "dash.category": "الفئة (الفرع وكل اللي تحته)",
+    "dash.daily": "يومي",
+    "dash.days": "أيام الفترة",
+    "dash.daysShort": "{n} يوم",
+    "dash.floorGap": "ناقص في الصالة",
+    "dash.floorPieces": "قطع الصالة",
+    "dash.load": "عرض الـ Dashboard",
+    "dash.missing": "نافد",
+    "dash.noPulls": "مفيش سحب في الفترة دي",
+    "dash.noReplan": "بدون ريبلانش من فترة",
+    "dash.noSales": "مفيش ملفات مبيعات في الفترة دي",
+    "dash.oversoldIntro": "أصناف الرصيد فيها <= 0 فاتت من الران (مفيش حاجة تتسحب)",
+    "dash.oversoldTitle": "مبيعات أكبر من المخزن",
+    "dash.pulledQty": "الكمية المسحوبة",
+    "dash.salesDays": "مبيعات {n} يوم من الفترة (من ملفات المبيعات) | الرصيد = المخزن + الصالة دلوقتي",
+    "dash.sellThroughTitle": "نسبة البيع / أيام التغطية",
+    "dash.sizeRunsLegend": "المقاس: مخزن/صالة (مباع)",
+    "dash.sizeRunsTitle": "المقاسات الناقصة",
+    "dash.soldTitle": "اتباع {n}",
+    "dash.staleDays": "بدون ريبلانش من (أيام)",
+    "dash.status": "تم ✅ | {from} ← {to} ({days} يوم) | بدون ريبلانش: {stale} | {category}",
+    "dash.topCategories": "أعلى الفئات في الريبلانش",
+    "dash.topSkus": "أعلى الأصناف في الريبلانش",
+    "dash.weekly": "أسبوعي (من الاثنين)",
+
+    "diff.added": "اتضاف",
+    "diff.decreased": "قل",
+    "diff.increased": "زاد",
+    "diff.removed": "اتشال",
+
+    "exec.askFound": "لقيت كام قطعة؟ (0 - {max})",
+    "exec.confirmReverse": "تأكيد إلغاء تنفيذ السطر؟ الكمية هترجع للمخزن والسطر يرجع Pending.",
+    "exec.failed": "فشل: {n}",
+    "exec.foundRange": "اكتب رقم من 0 لـ {max}",
+    "exec.reasonRequired": "السبب مطلوب",
+    "exec.reverse": "إلغاء التنفيذ",
+    "exec.reverseReason": "سبب الإلغاء",
+    "exec.shortReason": "السبب (مثلاً: مش موجود في المخزن / تالف)",
+
+    "inbox.category": "الفئة (مبيعات)",
+    "inbox.folder": "الفولدر",
+    "inbox.interval": "افحص كل (ثانية)",
+    "inbox.intro": "الملفات اللي بتنزل في الفولدر ده وتطابق Pattern بتتسحب لوحدها: stock = تحديث المخزون، sales = عمل ريبلانش بالفئة المحددة. بعدها بتتنقل لـ archive أو error.",
+    "inbox.mode": "الطريقة (مبيعات)",
+    "inbox.movedTo": "اتنقل لـ",
+    "inbox.pattern": "Pattern",
+    "inbox.profile": "Profile",
+    "inbox.save": "حفظ الـ Inbox",
+    "inbox.scanNow": "افحص دلوقتي",
+    "inbox.scanResult": "اتسحب: {ok} | فشل: {failed}",
+    "inbox.scanning": "بيتم الفحص...",
+    "inbox.stopped": "واقف",
+    "inbox.title": "Inbox (استيراد تلقائي)",
+    "inbox.watching": "شغال",
+
+    "ledger.count": "الحركات: {n}",
+    "ledger.load": "عرض الحركة",
+    "ledger.title": "حركة المخزون (Ledger)",
+
+    "limits.categoryRule": "الفئة / القاعدة",
+    "limits.clear": "مسح",
+    "limits.cleared": "اتمسح ✅",
+    "limits.confirmReplace": "الاستبدال هيمسح كل القواعد الحالية. تأكيد؟",
+    "limits.confirmSkipInvalid": "{n} صف فيهم أخطاء. استيراد الباقي؟",
+    "limits.default": "افتراضي",
+    "limits.defaultMax": "Max الافتراضي",
+    "limits.defaultMin": "Min الافتراضي",
+    "limits.effective": "الفعلي",
+    "limits.enterMinMax": "اكتب Min و Max",
+    "limits.explain": "اشرح",
+    "limits.explainSku": "شرح: SKU",
+    "limits.exportCsv": "تصدير CSV",
+    "limits.exportXlsx": "تصدير XLSX",
+    "limits.fileColumns": "Excel/CSV: Type | Category | SKU | Size | Min | Max",
+    "limits.import": "استيراد",
+    "limits.imported": "اتسحب ✅ | جديد: {created} | اتحدث: {updated} | متخطي: {skipped}",
+    "limits.inherited": "موروث",
+    "limits.intro": "الأدق بيكسب: SKU+Size ثم SKU ثم أعمق Category ثم الافتراضي (Default).",
+    "limits.loaded": "اتحمل ✅ | قواعد الفئات: {cat} | قواعد SKU: {sku}",
+    "limits.merge": "دمج (تحديث/إضافة)",
+    "limits.own": "خاص",
+    "limits.pickFile": "اختار الملف",
+    "limits.reload": "تحديث القواعد",
+    "limits.replace": "استبدال الكل",
+    "limits.saveDefault": "حفظ الافتراضي",
+    "limits.saveSku": "حفظ SKU",
+    "limits.title": "Min/Max (فئة ← SKU ← SKU+مقاس)",
+
+    "live.lines": "{n} سطر",
+    "live.newBatch": "دفعة New Collection {batchId} ({n} سطر)",
+    "live.newCleared": "New Collection اتمسحت",
+    "live.runCancelled": "اتلغى {runId}",
+    "live.runCreated": "ران جديد {runId} ({n} سطر)",
+    "live.scan": "سكان {n}/{of}",
+    "live.stockCleared": "المخزون اتمسح",
+    "live.stockRolledBack": "المخزون رجع لنسخة قديمة",
+    "live.stockUpdated": "المخزون اتحدث",
+    "live.stockUploaded": "المخزون اترفع",
+
+    "loc.backroom": "المخزن",
+    "loc.floor": "الصالة",
+
+    "login.signIn": "دخول",
+    "login.title": "تسجيل الدخول",
+
+    "mode.BASE_PENDING_ALL": "كل المخزون (بعد المسح)",
+    "mode.RELEASE": "إفراج يدوي",
+    "mode.UPDATE_PENDING_NEW_ONLY": "الجديد بس",
+    "mode.minmax": "Min/Max",
+    "mode.velocity": "Velocity",
+
+    "new.allBatches": "كل الدفعات",
+    "new.batchStatus": "الدفعة: {batchId} | {at} | الطريقة: {mode} | السطور: {n}",
+    "new.confirmExecute": "تأكيد خروج هذا السطر؟ سيتم نقل 1 من المخزن للصالة.",
+    "new.confirmExecuteAll": "تأكيد خروج النيو كولكشن كله؟",
+    "new.confirmReleaseAll": "تنزيل كل الأصناف المستنية من غير باقي المقاسات؟",
+    "new.confirmReleaseLine": "تنزيل السطر ده من غير باقي المقاسات؟",
+    "new.defaultQty": "الكمية الافتراضية",
+    "new.executeAll": "تنفيذ الكل",
+    "new.fullSizeRunOnly": "Size run كامل بس",
+    "new.heldIntro": "أصناف جديدة مستنية باقي المقاسات توصل. بتدخل أول دفعة بعد ما الـ Size run يكمل، أو تفرج عنها من هنا.",
+    "new.heldTitle": "مستنية (Size run ناقص)",
+    "new.intro": "كل تحديث مخزون فيه أصناف جديدة بيعمل دفعة (Batch) بتاريخها. الدفعات القديمة بتفضل مفتوحة لحد ما تخلص.",
+    "new.latestBatch": "آخر دفعة",
+    "new.missingSizes": "المقاسات الناقصة",
+    "new.none": "مفيش New Collection",
+    "new.openingIntro": "كام قطعة تنزل الصالة من كل سطر جديد. الأدق بيكسب: أعمق Category ثم اللي فيها Size. 0 = مايتعرضش.",
+    "new.openingQty": "كمية الافتتاح",
+    "new.release": "تنزيل",
+    "new.releaseAll": "تنزيل الكل ({n})",
+    "new.rulesSaved": "اتحفظ ✅ (بيتطبق من تحديث المخزون الجاي)",
+    "new.saveRules": "حفظ القواعد",
+    "new.since": "من",
+
+    "odoo.atSales": "المبيعات كل يوم الساعة",
+    "odoo.atStock": "المخزون كل يوم الساعة",
+    "odoo.category": "الفئة (ران المبيعات)",
+    "odoo.colorAttrs": "خصائص اللون",
+    "odoo.confirmStock": "تأكيد استبدال المخزون بالمخزون الحالي في Odoo؟",
+    "odoo.connected": "متصل ✅ Odoo {version} (uid {uid})",
+    "odoo.connecting": "بيتم الاتصال...",
+    "odoo.db": "قاعدة البيانات",
+    "odoo.intro": "سحب المخزون (stock.quant) والمبيعات (POS / Sales Orders) من Odoo مباشرة بدل رفع الملفات. الميعاد فاضي = يدوي بس.",
+    "odoo.kind.sales": "المبيعات",
+    "odoo.kind.stock": "المخزون",
+    "odoo.lastScheduled": "آخر سحب مجدول: {last}",
+    "odoo.location": "المكان (id أو WH/Stock)",
+    "odoo.mode": "الطريقة (ران المبيعات)",
+    "odoo.password": "كلمة السر / API Key (فاضي = من غير تغيير)",
+    "odoo.runCreated": "ران {runId} ✅ {n} سطر",
+    "odoo.salesDays": "أيام المبيعات",
+    "odoo.salesFrom": "المبيعات من",
+    "odoo.salesTo": "المبيعات إلى",
+    "odoo.save": "حفظ Odoo",
+    "odoo.scheduleOff": "السحب المجدول واقف",
+    "odoo.scheduleOn": "السحب المجدول شغال",
+    "odoo.sizeAttrs": "خصائص المقاس",
+    "odoo.sources": "مصادر المبيعات",
+    "odoo.syncSales": "سحب المبيعات ← ريبلانش",
+    "odoo.syncStock": "سحب المخزون دلوقتي",
+    "odoo.syncing": "بيتم سحب {kind}...",
+    "odoo.test": "اختبار الاتصال",
+    "odoo.title": "مزامنة Odoo",
+    "odoo.user": "المستخدم",
+
+    "prof.delimiter": "فاصل CSV",
+    "prof.encoding": "ترميز CSV",
+    "prof.headerRow": "صف العناوين (0 = مفيش)",
+    "prof.intro": "الأعمدة: حرف العمود (A, B, ...) أو اسم العمود في صف العناوين. bracketText = Text + Qty | columns = SKU + Qty (+ Size/Color/Category)",
+    "prof.layout": "الشكل",
+    "prof.save": "حفظ الـ Profile",
+    "prof.sheet": "الشيت (اسم / رقم)",
+    "prof.text": "النص",
+    "prof.title": "Import Profiles",
+
+    "replan.cancelRun": "إلغاء الران",
+    "replan.confirmCancel": "تأكيد إلغاء الران كله؟ السطور المنفذة مش هتتلغي.",
+    "replan.confirmExecute": "تأكيد تنفيذ السطر؟ سيتم نقل PullQty من المخزن للصالة.",
+    "replan.confirmExecuteAll": "تأكيد تنفيذ كل الريبلانش؟",
+    "replan.coverDays": "تغطية الصالة (أيام)",
+    "replan.done": "تم ✅",
+    "replan.executeAll": "تنفيذ كل المستني",
+    "replan.generate": "عمل ريبلانش",
+    "replan.loadRun": "فتح الران",
+    "replan.modeMinmax": "Min/Max (ملف اليوم)",
+    "replan.modeVelocity": "Velocity (متوسط المبيعات)",
+    "replan.newPullQty": "PullQty الجديدة",
+    "replan.noteRequired": "ملاحظة (مطلوبة)",
+    "replan.previewFile": "معاينة الملف",
+    "replan.previousRuns": "الرانات السابقة",
+    "replan.refreshList": "تحديث القائمة",
+    "replan.reportDays": "التقرير بيغطي (أيام)",
+    "replan.rule": "القاعدة",
+    "replan.runId": "رقم الران",
+    "replan.salesDate": "تاريخ المبيعات (آخر يوم في التقرير)",
+    "replan.salesReport": "تقرير المبيعات",
+    "replan.skip": "تخطي",
+    "replan.skipReason": "سبب التخطي",
+    "replan.unmatchedCount": "{n} سطر مبيعات مش في المخزون",
+    "replan.unmatchedSales": "مبيعات مش متطابقة",
+    "replan.uploadSales": "رفع تقرير المبيعات",
+    "replan.uploadSalesFirst": "ارفع ملف المبيعات أولاً",
+    "replan.velocityRule": "Velocity {window} يوم ← تغطية {cover} يوم",
+    "replan.windowDays": "الفترة (أيام)",
+
+    "report.ambiguous": "مقاس/لون مش واضح",
+    "report.categories": "عناوين الفئات",
+    "report.duplicates": "متكرر واتجمع",
+    "report.mapped": "القاموس: {n}",
+    "report.notInStock": "مش في المخزون: {n}",
+    "report.note": "ملاحظة",
+    "report.rows": "الصفوف",
+    "report.skipped": "متخطي",
+    "report.summary": "الصفوف: {rows} | السطور المقروءة: {lines} | الكمية: {qty}",
+    "report.warnings": "تحذيرات الكمية",
+
+    "role.admin": "admin",
+    "role.floor": "floor",
+    "role.supervisor": "supervisor",
+    "role.viewer": "viewer",
+
+    "scan.camera": "الكاميرا",
+    "scan.intro": "كل Scan = قطعة واحدة. السطر بيتنفذ لما عدد القطع يوصل للـ PullQty.",
+    "scan.list": "الليستة",
+    "scan.noDetector": "المتصفح ده مش بيدعم قراءة الباركود بالكاميرا",
+    "scan.notInListOffline": "{code}: مش في الليستة (offline)",
+    "scan.pickRunFirst": "اختار ران الأول",
+    "scan.pickRunTab": "اختار ران من تبويب الريبلانش",
+    "scan.pickSizeColor": "{code}: اختار المقاس/اللون",
+    "scan.placeholder": "امسح الباركود أو اكتب الكود + Enter",
+    "scan.queuedOffline": "في الانتظار (offline)",
+    "scan.queuedUnknownLine": "{code}: مفيش نت — اتسجل ومش معروف السطر",
+    "scan.replanTarget": "الريبلانش (الران الحالي)",
+    "scan.run": "الران",
+    "scan.stopCamera": "إيقاف الكاميرا",
+    "scan.title": "سكان (باركود)",
+    "scan.unmatched": "سكان مش متطابق",
+
+    "short.asked": "المطلوب",
+    "short.export": "تصدير Excel (Odoo)",
+    "short.found": "اتلقى",
+    "short.short": "العجز",
+    "short.system": "السيستم",
+    "short.title": "العجز: {lines} سطر / {pcs} قطعة",
+
+    "snap.compare": "مقارنة",
+    "snap.confirmRollback": "تأكيد رجوع المخزون لـ {snapshotId}؟",
+    "snap.from": "من Snapshot",
+    "snap.pickBoth": "اختار الاتنين",
+    "snap.reload": "تحديث الـ Snapshots",
+    "snap.rollback": "رجوع",
+    "snap.rolledBack": "رجع ✅ | السطور: {n}",
+    "snap.title": "Snapshots",
+    "snap.to": "إلى Snapshot",
+
+    "source.clear": "مسح",
+    "source.newcollection": "New Collection",
+    "source.replan": "ريبلانش",
+    "source.reversal": "إلغاء تنفيذ",
+    "source.rollback": "رجوع",
+    "source.sales": "مبيعات",
+    "source.upload": "رفع مخزون",
+
+    "status.Cancelled": "ملغي",
+    "status.Completed": "خلصت",
+    "status.Done": "اتنفذ",
+    "status.NotFound": "مش موجود",
+    "status.Open": "مفتوحة",
+    "status.Partial": "جزئي",
+    "status.Pending": "مستني",
+    "status.Queued": "في الانتظار",
+    "status.Skipped": "متخطي",
+    "status.queuedHint": "هيتبعت لما النت يرجع",
+
+    "stock.more": "المزيد",
+    "stock.qtyRange": "الكمية (من - إلى)",
+    "stock.search": "بحث",
+    "stock.searchLabel": "بحث (SKU/مقاس/لون/فئة)",
+    "stock.searchPlaceholder": "اكتب كود أو لون أو مقاس...",
+    "stock.searchStatus": "آخر تحديث: {at} | النتائج: {count} | المعروض: {shown}",
+    "stock.sizeFilter": "المقاس (مقاس أو أكتر: S, M)",
+    "stock.sort": "الترتيب",
+    "stock.sortAuto": "تلقائي",
+    "stock.total": "الإجمالي",
+
+    "stockAdmin.baseUploaded": "المخزون الأساسي اترفع ✅",
+    "stockAdmin.clear": "مسح المخزون",
+    "stockAdmin.cleared": "تم المسح ✅",
+    "stockAdmin.confirmClear": "تأكيد مسح المخزون بالكامل؟",
+    "stockAdmin.confirmReplace": "تأكيد استبدال المخزون بالملف ده؟",
+    "stockAdmin.confirmReport": "متخطي: {skipped} | مش واضح: {ambiguous} | متكرر: {duplicates} | فئات: {categories}",
+    "stockAdmin.confirmSummary": "السطور: {lines} | الكمية: {qty}",
+    "stockAdmin.file": "ملف المخزون",
+    "stockAdmin.pickFile": "اختار ملف الاستوك",
+    "stockAdmin.update": "تحديث المخزون",
+    "stockAdmin.updated": "المخزون اتحدث ✅",
+    "stockAdmin.updating": "بيتم التحديث...",
+
+    "syn.bothRequired": "اكتب الكتابتين",
+    "syn.color": "لون",
+    "syn.entries": "عدد الكلمات: {n}",
+    "syn.from": "من (الكتابة في التقرير)",
+    "syn.intro": "بيتطبق على كل ملف مخزون أو مبيعات وقت الاستيراد: الكتابة المختلفة تتحول لكتابة المخزون (كافيه → كافية). ملف المخزون الحالي بيتغير مع التحديث الجاي.",
+    "syn.size": "مقاس",
+    "syn.title": "قاموس المقاسات والألوان",
+    "syn.to": "إلى (الكتابة في المخزون)",
+
+    "sync.alreadyDone": "السطر اتنفذ قبل كده",
+    "sync.clearConflicts": "مسح التعارضات",
+    "sync.conflicts": "تعارضات: {n}",
+    "sync.insufficient": "المخزون مبقاش كفاية: {error}",
+    "sync.line": "السطر",
+    "sync.linesFailed": "{n} سطر فشلوا: ",
+    "sync.now": "مزامنة دلوقتي",
+    "sync.offline": "مش متصل",
+    "sync.online": "متصل",
+    "sync.problem": "المشكلة",
+    "sync.target": "الليستة",
+    "sync.waiting": "في الانتظار: {n}",
+
+    "tab.curstock": "المخزون الحالي",
+    "tab.dash": "Dashboard",
+    "tab.limits": "Min/Max",
+    "tab.new": "New Collection",
+    "tab.replan": "الريبلانش",
+    "tab.scan": "سكان",
+    "tab.stockadmin": "تحديث المخزون (Admin)",
+    "tab.users": "المستخدمين",
+
+    "unmatched.hint": "اقتراح = نفس الـ SKU في المخزون بكتابة مختلفة. الإضافة للقاموس بتأثر على الملفات الجاية.",
+    "unmatched.none": "مبيعات مش متطابقة: مفيش ✅",
+    "unmatched.suggestions": "اقتراحات",
+    "unmatched.title": "مبيعات مش متطابقة: {lines} سطر / {pcs} قطعة (مش داخلة في الران)",
+    "unmatched.why": "السبب",
+
+    "user.changePassword": "تغيير كلمة السر",
+    "user.currentPassword": "كلمة السر الحالية",
+    "user.logout": "خروج",
+    "user.newPassword": "كلمة السر الجديدة",
+    "user.password": "كلمة السر",
+    "user.passwordChanged": "كلمة السر اتغيرت ✅",
+    "user.username": "اسم المستخدم",
+
+    "users.active": "شغال",
+    "users.confirmDelete": "حذف {username}؟",
+    "users.disabled": "موقوف",
+    "users.displayName": "الاسم الظاهر",
+    "users.intro": "admin: كل حاجة | supervisor: ريبلانش + Min/Max + تنفيذ | floor: تنفيذ بس | viewer: عرض بس",
+    "users.password": "كلمة السر (فاضي = من غير تغيير)",
+    "users.save": "حفظ المستخدم"
+  },
+  en: {
+    "app.intro": "- New Collection: after Clear + Update, 1 piece per SKU/Size/Color comes out (Pending). After a normal update only the new lines come out (Pending).<br/> - Execute in New Collection moves 1 from the Backroom to the Floor.<br/> - Current Stock shows Backroom and Floor (either > 0) + Search.<br/> - Replan: Sales>0 + Balance>0 and PullQty from Min/Max per SKU (Default 1/1) minus what is already on the Floor.<br/> - Dashboard: the items/categories replanned most + items not replanned for a while.",
+    "app.title": "Replan System",
+
+    "cat.all": "All",
+    "cat.count": "{lines} lines · {pcs} pcs",
+    "cat.stockEmpty": "Stock is empty",
+    "cat.tree": "Category tree",
+
+    "col.added": "+Added",
+    "col.after": "After",
+    "col.avgDaily": "Avg/Day",
+    "col.backroom": "Backroom",
+    "col.backroomNow": "Backroom Now",
+    "col.balance": "Balance",
+    "col.before": "Before",
+    "col.by": "By",
+    "col.category": "Category",
+    "col.change": "Change",
+    "col.code": "Code",
+    "col.color": "Color",
+    "col.columns": "Columns",
+    "col.created": "Created",
+    "col.date": "Date",
+    "col.daysOfCover": "Days of Cover",
+    "col.delta": "Delta",
+    "col.error": "Error",
+    "col.execute": "Execute",
+    "col.file": "File",
+    "col.floor": "Floor",
+    "col.header": "Header",
+    "col.kind": "Kind",
+    "col.lastExecute": "Last Execute",
+    "col.lastRun": "Last Run",
+    "col.location": "Location",
+    "col.name": "Name",
+    "col.onHand": "On Hand",
+    "col.pullQty": "PullQty",
+    "col.qty": "Qty",
+    "col.range": "Range",
+    "col.reason": "Reason",
+    "col.removed": "-Removed",
+    "col.result": "Result",
+    "col.role": "Role",
+    "col.row": "Row",
+    "col.runs": "Runs",
+    "col.sales": "Sales",
+    "col.scanned": "Scanned",
+    "col.sellThrough": "Sell-through",
+    "col.sheet": "Sheet",
+    "col.size": "Size",
+    "col.sizes": "Sizes",
+    "col.sku": "SKU",
+    "col.sold": "Sold",
+    "col.source": "Source",
+    "col.status": "Status",
+    "col.stock": "Stock",
+    "col.stockQty": "StockQty",
+    "col.time": "Time",
+    "col.type": "Type",
+
+    "common.add": "Add",
+    "common.addRule": "Add Rule",
+    "common.cancelledNothingSaved": "Cancelled (nothing saved)",
+    "common.categoryOptional": "Category (optional)",
+    "common.checkingFile": "Checking file...",
+    "common.delete": "Delete",
+    "common.deleted": "Deleted ✅",
+    "common.edit": "Edit",
+    "common.enabled": "Enabled",
+    "common.error": "Error: {error}",
+    "common.exportExcel": "Export Excel",
+    "common.from": "From",
+    "common.fromOptional": "From (optional)",
+    "common.importProfile": "Import Profile",
+    "common.lines": "Lines",
+    "common.loading": "Loading...",
+    "common.mode": "Mode",
+    "common.no": "No",
+    "common.none": "None",
+    "common.ok": "OK",
+    "common.pickListPdf": "Pick List PDF",
+    "common.previewDone": "Preview ✅ (nothing saved)",
+    "common.save": "Save",
+    "common.saved": "Saved ✅",
+    "common.shortfallReport": "Shortfall Report",
+    "common.sizeOptional": "Size (optional)",
+    "common.to": "To",
+    "common.toOptional": "To (optional)",
+    "common.unknown": "unknown",
+    "common.yes": "Yes",
+
+    "dash.backroomPieces": "Backroom Pieces",
+    "dash.category": "Category (branch and everything under it)",
+    "dash.daily": "Daily",
+    "dash.days": "Window Days",
+    "dash.daysShort": "{n} d",
+    "dash.floorGap": "Missing on floor",
+    "dash.floorPieces": "Floor Pieces",
+    "dash.load": "Load Dashboard",
+    "dash.missing": "Sold out",
+    "dash.noPulls": "No pulls in this period",
+    "dash.noReplan": "No Replan Since",
+    "dash.noSales": "No sales files in this period",
+    "dash.oversoldIntro": "Items with a balance <= 0 left out of the run (nothing to pull)",
+    "dash.oversoldTitle": "Sales Over Stock",
+    "dash.pulledQty": "Pulled Qty",
+    "dash.salesDays": "Sales of {n} days in the period (from the sales files) | On hand = backroom + floor now",
+    "dash.sellThroughTitle": "Sell-through / Days of Cover",
+    "dash.sizeRunsLegend": "Size: backroom/floor (sold)",
+    "dash.sizeRunsTitle": "Size Runs",
+    "dash.soldTitle": "sold {n}",
+    "dash.staleDays": "No Replan Since (Days)",
+    "dash.status": "Done ✅ | {from} → {to} ({days} days) | Stale: {stale} | {category}",
+    "dash.topCategories": "Top Replenished Categories",
+    "dash.topSkus": "Top Replenished SKUs",
+    "dash.weekly": "Weekly (from Monday)",
+
+    "diff.added": "Added",
+    "diff.decreased": "Decreased",
+    "diff.increased": "Increased",
+    "diff.removed": "Removed",
+
+    "exec.askFound": "How many pieces did you find? (0 - {max})",
+    "exec.confirmReverse": "Reverse this line? The qty goes back to the backroom and the line returns to Pending.",
+    "exec.failed": "Failed: {n}",
+    "exec.foundRange": "Enter a number from 0 to {max}",
+    "exec.reasonRequired": "A reason is required",
+    "exec.reverse": "Reverse",
+    "exec.reverseReason": "Reason for the reversal",
+    "exec.shortReason": "Reason (e.g. not in the backroom / damaged)",
+
+    "inbox.category": "Category (sales)",
+    "inbox.folder": "Folder",
+    "inbox.interval": "Check every (sec)",
+    "inbox.intro": "Files dropped in this folder that match a pattern are imported on their own: stock = Update Stock, sales = Generate Replan with the chosen category. Then they are moved to archive or error.",
+    "inbox.mode": "Mode (sales)",
+    "inbox.movedTo": "Moved To",
+    "inbox.pattern": "Pattern",
+    "inbox.profile": "Profile",
+    "inbox.save": "Save Inbox",
+    "inbox.scanNow": "Scan Now",
+    "inbox.scanResult": "Imported: {ok} | Failed: {failed}",
+    "inbox.scanning": "Scanning...",
+    "inbox.stopped": "Stopped",
+    "inbox.title": "Inbox (automatic import)",
+    "inbox.watching": "Watching",
+
+    "ledger.count": "Movements: {n}",
+    "ledger.load": "Load Movements",
+    "ledger.title": "Stock Movements (Ledger)",
+
+    "limits.categoryRule": "Category / Rule",
+    "limits.clear": "Clear",
+    "limits.cleared": "Cleared ✅",
+    "limits.confirmReplace": "Replace deletes every current rule. Continue?",
+    "limits.confirmSkipInvalid": "{n} rows have errors. Import the rest?",
+    "limits.default": "default",
+    "limits.defaultMax": "Default Max",
+    "limits.defaultMin": "Default Min",
+    "limits.effective": "Effective",
+    "limits.enterMinMax": "Enter Min and Max",
+    "limits.explain": "Explain",
+    "limits.explainSku": "Explain: SKU",
+    "limits.exportCsv": "Export CSV",
+    "limits.exportXlsx": "Export XLSX",
+    "limits.fileColumns": "Excel/CSV: Type | Category | SKU | Size | Min | Max",
+    "limits.import": "Import",
+    "limits.imported": "Imported ✅ | New: {created} | Updated: {updated} | Skipped: {skipped}",
+    "limits.inherited": "inherited",
+    "limits.intro": "The most specific rule wins: SKU+Size, then SKU, then the deepest category, then the default.",
+    "limits.loaded": "Loaded ✅ | Category rules: {cat} | SKU rules: {sku}",
+    "limits.merge": "Merge (update/add)",
+    "limits.own": "own",
+    "limits.pickFile": "Choose the file",
+    "limits.reload": "Reload Limits",
+    "limits.replace": "Replace (all)",
+    "limits.saveDefault": "Save Default",
+    "limits.saveSku": "Save SKU",
+    "limits.title": "Min/Max (Category → SKU → SKU+Size)",
+
+    "live.lines": "{n} lines",
+    "live.newBatch": "New Collection batch {batchId} ({n} lines)",
+    "live.newCleared": "New Collection cleared",
+    "live.runCancelled": "cancelled {runId}",
+    "live.runCreated": "new run {runId} ({n} lines)",
+    "live.scan": "scan {n}/{of}",
+    "live.stockCleared": "stock cleared",
+    "live.stockRolledBack": "stock rolled back",
+    "live.stockUpdated": "stock updated",
+    "live.stockUploaded": "stock uploaded",
+
+    "loc.backroom": "Backroom",
+    "loc.floor": "Floor",
+
+    "login.signIn": "Sign In",
+    "login.title": "Sign In",
+
+    "mode.BASE_PENDING_ALL": "All stock (after clear)",
+    "mode.RELEASE": "Manual release",
+    "mode.UPDATE_PENDING_NEW_ONLY": "New lines only",
+    "mode.minmax": "Min/Max",
+    "mode.velocity": "Velocity",
+
+    "new.allBatches": "All batches",
+    "new.batchStatus": "Batch: {batchId} | {at} | Mode: {mode} | Lines: {n}",
+    "new.confirmExecute": "Execute this line? 1 piece moves from the backroom to the floor.",
+    "new.confirmExecuteAll": "Execute the whole New Collection?",
+    "new.confirmReleaseAll": "Release every held item without the rest of its sizes?",
+    "new.confirmReleaseLine": "Release this line without the rest of its sizes?",
+    "new.defaultQty": "Default Qty",
+    "new.executeAll": "Execute All",
+    "new.fullSizeRunOnly": "Full size run only",
+    "new.heldIntro": "New items waiting for the rest of their sizes. They join the first batch after the size run is complete, or you can release them here.",
+    "new.heldTitle": "Held back (incomplete size run)",
+    "new.intro": "Every stock update with new items creates a dated batch. Older batches stay open until they are done.",
+    "new.latestBatch": "Latest batch",
+    "new.missingSizes": "Missing sizes",
+    "new.none": "No New Collection",
+    "new.openingIntro": "How many pieces of each new line go to the floor. The most specific rule wins: deepest category, then the one with a size. 0 = not displayed.",
+    "new.openingQty": "Opening Qty",
+    "new.release": "Release",
+    "new.releaseAll": "Release all ({n})",
+    "new.rulesSaved": "Saved ✅ (applies from the next stock update)",
+    "new.saveRules": "Save Rules",
+    "new.since": "Since",
+
+    "odoo.atSales": "Sales every day at",
+    "odoo.atStock": "Stock every day at",
+    "odoo.category": "Category (sales run)",
+    "odoo.colorAttrs": "Color Attributes",
+    "odoo.confirmStock": "Replace the stock with the current Odoo stock?",
+    "odoo.connected": "Connected ✅ Odoo {version} (uid {uid})",
+    "odoo.connecting": "Connecting...",
+    "odoo.db": "Database",
+    "odoo.intro": "Pulls stock (stock.quant) and sales (POS / Sales Orders) straight from Odoo instead of uploading files. Empty schedule = manual only.",
+    "odoo.kind.sales": "sales",
+    "odoo.kind.stock": "stock",
+    "odoo.lastScheduled": "Last scheduled: {last}",
+    "odoo.location": "Location (id or WH/Stock)",
+    "odoo.mode": "Mode (sales run)",
+    "odoo.password": "Password / API Key (empty = unchanged)",
+    "odoo.runCreated": "Run {runId} ✅ {n} lines",
+    "odoo.salesDays": "Sales Days",
+    "odoo.salesFrom": "Sales From",
+    "odoo.salesTo": "Sales To",
+    "odoo.save": "Save Odoo",
+    "odoo.scheduleOff": "Scheduled sync off",
+    "odoo.scheduleOn": "Scheduled sync on",
+    "odoo.sizeAttrs": "Size Attributes",
+    "odoo.sources": "Sales Sources",
+    "odoo.syncSales": "Sync Sales → Replan",
+    "odoo.syncStock": "Sync Stock Now",
+    "odoo.syncing": "Syncing {kind}...",
+    "odoo.test": "Test Connection",
+    "odoo.title": "Odoo Sync",
+    "odoo.user": "User",
+
+    "prof.delimiter": "CSV Delimiter",
+    "prof.encoding": "CSV Encoding",
+    "prof.headerRow": "Header Row (0 = none)",
+    "prof.intro": "Columns: a column letter (A, B, ...) or the column name in the header row. bracketText = Text + Qty | columns = SKU + Qty (+ Size/Color/Category)",
+    "prof.layout": "Layout",
+    "prof.save": "Save Profile",
+    "prof.sheet": "Sheet (name / #)",
+    "prof.text": "Text",
+    "prof.title": "Import Profiles",
+
+    "replan.cancelRun": "Cancel Run",
+    "replan.confirmCancel": "Cancel the whole run? Executed lines are not reversed.",
+    "replan.confirmExecute": "Execute this line? The pull qty moves from the backroom to the floor.",
+    "replan.confirmExecuteAll": "Execute the whole replan?",
+    "replan.coverDays": "Floor Cover (Days)",
+    "replan.done": "Done ✅",
+    "replan.executeAll": "Execute All Pending",
+    "replan.generate": "Generate Replan",
+    "replan.loadRun": "Load Run",
+    "replan.modeMinmax": "Min/Max (today's file)",
+    "replan.modeVelocity": "Velocity (average sales)",
+    "replan.newPullQty": "New pull qty",
+    "replan.noteRequired": "Note (required)",
+    "replan.previewFile": "Preview File",
+    "replan.previousRuns": "Previous Runs",
+    "replan.refreshList": "Refresh List",
+    "replan.reportDays": "Report Covers (Days)",
+    "replan.rule": "Rule",
+    "replan.runId": "Run ID",
+    "replan.salesDate": "Sales Date (last day in the report)",
+    "replan.salesReport": "Sales Report",
+    "replan.skip": "Skip",
+    "replan.skipReason": "Reason for skipping",
+    "replan.unmatchedCount": "{n} sales lines not in stock",
+    "replan.unmatchedSales": "Unmatched Sales",
+    "replan.uploadSales": "Upload Sales Report",
+    "replan.uploadSalesFirst": "Upload the sales file first",
+    "replan.velocityRule": "Velocity {window}d → {cover}d cover",
+    "replan.windowDays": "Window (Days)",
+
+    "report.ambiguous": "Ambiguous Size/Color",
+    "report.categories": "Category Headers",
+    "report.duplicates": "Merged Duplicates",
+    "report.mapped": "Dictionary: {n}",
+    "report.notInStock": "Not in stock: {n}",
+    "report.note": "Note",
+    "report.rows": "Rows",
+    "report.skipped": "Skipped",
+    "report.summary": "Rows: {rows} | Parsed lines: {lines} | Qty: {qty}",
+    "report.warnings": "Qty Warnings",
+
+    "role.admin": "admin",
+    "role.floor": "floor",
+    "role.supervisor": "supervisor",
+    "role.viewer": "viewer",
+
+    "scan.camera": "Camera",
+    "scan.intro": "Each scan = one piece. A line is executed once its scanned pieces reach the pull qty.",
+    "scan.list": "List",
+    "scan.noDetector": "This browser cannot read barcodes with the camera",
+    "scan.notInListOffline": "{code}: not in the list (offline)",
+    "scan.pickRunFirst": "Pick a run first",
+    "scan.pickRunTab": "Pick a run in the Replan tab",
+    "scan.pickSizeColor": "{code}: pick the size/color",
+    "scan.placeholder": "Scan a barcode or type the code + Enter",
+    "scan.queuedOffline": "Queued (offline)",
+    "scan.queuedUnknownLine": "{code}: no connection — saved, line unknown",
+    "scan.replanTarget": "Replan (current run)",
+    "scan.run": "Run",
+    "scan.stopCamera": "Stop Camera",
+    "scan.title": "Scan (Barcode)",
+    "scan.unmatched": "Unmatched Scans",
+
+    "short.asked": "Asked",
+    "short.export": "Export Excel (Odoo)",
+    "short.found": "Found",
+    "short.short": "Short",
+    "short.system": "System",
+    "short.title": "Shortfall: {lines} lines / {pcs} pcs",
+
+    "snap.compare": "Compare",
+    "snap.confirmRollback": "Roll the stock back to {snapshotId}?",
+    "snap.from": "From Snapshot",
+    "snap.pickBoth": "Choose both",
+    "snap.reload": "Reload Snapshots",
+    "snap.rollback": "Rollback",
+    "snap.rolledBack": "Rolled back ✅ | Lines: {n}",
+    "snap.title": "Snapshots",
+    "snap.to": "To Snapshot",
+
+    "source.clear": "clear",
+    "source.newcollection": "New Collection",
+    "source.replan": "replan",
+    "source.reversal": "reversal",
+    "source.rollback": "rollback",
+    "source.sales": "sales",
+    "source.upload": "upload",
+
+    "status.Cancelled": "Cancelled",
+    "status.Completed": "Completed",
+    "status.Done": "Done",
+    "status.NotFound": "Not Found",
+    "status.Open": "Open",
+    "status.Partial": "Partial",
+    "status.Pending": "Pending",
+    "status.Queued": "Queued",
+    "status.Skipped": "Skipped",
+    "status.queuedHint": "Sent once the connection is back",
+
+    "stock.more": "More",
+    "stock.qtyRange": "Qty (from - to)",
+    "stock.search": "Search",
+    "stock.searchLabel": "Search (SKU/Size/Color/Category)",
+    "stock.searchPlaceholder": "Type a code, color or size...",
+    "stock.searchStatus": "Updated at: {at} | Results: {count} | Showing: {shown}",
+    "stock.sizeFilter": "Size (one or more: S, M)",
+    "stock.sort": "Sort",
+    "stock.sortAuto": "Auto",
+    "stock.total": "Total",
+
+    "stockAdmin.baseUploaded": "Base Stock Uploaded ✅",
+    "stockAdmin.clear": "Clear Stock",
+    "stockAdmin.cleared": "Cleared ✅",
+    "stockAdmin.confirmClear": "Clear the whole stock?",
+    "stockAdmin.confirmReplace": "Replace the stock with this file?",
+    "stockAdmin.confirmReport": "Skipped: {skipped} | Ambiguous: {ambiguous} | Duplicates: {duplicates} | Categories: {categories}",
+    "stockAdmin.confirmSummary": "Lines: {lines} | Qty: {qty}",
+    "stockAdmin.file": "Stock File",
+    "stockAdmin.pickFile": "Choose the stock file",
+    "stockAdmin.update": "Update Stock",
+    "stockAdmin.updated": "Stock Updated ✅",
+    "stockAdmin.updating": "Updating...",
+
+    "syn.bothRequired": "Enter both spellings",
+    "syn.color": "Color",
+    "syn.entries": "Entries: {n}",
+    "syn.from": "From (spelling in the report)",
+    "syn.intro": "Applied to every stock or sales file at import: a different spelling is turned into the stock spelling (كافيه → كافية). The current stock changes with the next update.",
+    "syn.size": "Size",
+    "syn.title": "Size & Color Dictionary",
+    "syn.to": "To (spelling in stock)",
+
+    "sync.alreadyDone": "The line was already done",
+    "sync.clearConflicts": "Clear Conflicts",
+    "sync.conflicts": "Conflicts: {n}",
+    "sync.insufficient": "Not enough stock any more: {error}",
+    "sync.line": "Line",
+    "sync.linesFailed": "{n} lines failed: ",
+    "sync.now": "Sync Now",
+    "sync.offline": "Offline",
+    "sync.online": "Online",
+    "sync.problem": "Problem",
+    "sync.target": "Target",
+    "sync.waiting": "Waiting: {n}",
+
+    "tab.curstock": "Current Stock",
+    "tab.dash": "Dashboard",
+    "tab.limits": "Min/Max",
+    "tab.new": "New Collection",
+    "tab.replan": "Replan",
+    "tab.scan": "Scan",
+    "tab.stockadmin": "Stock Update (Admin)",
+    "tab.users": "Users",
+
+    "unmatched.hint": "Suggestion = the same SKU in stock with a different spelling. Adding it to the dictionary affects the next files.",
+    "unmatched.none": "Unmatched sales: none ✅",
+    "unmatched.suggestions": "Suggestions",
+    "unmatched.title": "Unmatched sales: {lines} lines / {pcs} pcs (not in the run)",
+    "unmatched.why": "Why",
+
+    "user.changePassword": "Change Password",
+    "user.currentPassword": "Current password",
+    "user.logout": "Logout",
+    "user.newPassword": "New password",
+    "user.password": "Password",
+    "user.passwordChanged": "Password changed ✅",
+    "user.username": "Username",
+
+    "users.active": "Active",
+    "users.confirmDelete": "Delete {username}?",
+    "users.disabled": "Disabled",
+    "users.displayName": "Display Name",
+    "users.intro": "admin: everything | supervisor: Replan + Min/Max + Execute | floor: Execute only | viewer: view only",
+    "users.password": "Password (empty = unchanged)",
+    "users.save": "Save User"
+  }
+};
@@ -0,0 +1,67 @@
+/* =========================
+   Service worker
+   - app shell cached on install, so the page opens without a connection
+   - the run / New Collection the floor works on: network first, last good answer when offline;
+     a 401 (signed out / session over) drops those answers, so the next user never sees them
+   - everything else (exports, PDFs, live events, writes) always goes to the network
+========================= */
+const SHELL_CACHE = "replan-shell-v2";
+const DATA_CACHE = "replan-data";
+const SHELL = ["/", "/index.html", "/i18n.js", "/manifest.webmanifest", "/icon-192.png", "/icon-512.png"];
+
+// GET endpoints worth keeping for offline use
+const DATA_ROUTES = [
+  /^\/api\/auth\/me$/,
+  /^\/api\/replan\/runs$/,
+  /^\/api\/replan\/runs\/[^/]+$/,
+  /^\/api\/newcollection\/latest$/,
+  /^\/api\/newcollection\/batches$/,
+  /^\/api\/newcollection\/batches\/[^/]+$/,
+  /^\/api\/import\/profiles$/
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE && k !== DATA_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, cacheName) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, res.clone());
+    } else if (res.status === 401 && cacheName === DATA_CACHE) {
+      await caches.delete(DATA_CACHE);
+    }
+    return res;
+  } catch (e) {
+    const hit = await caches.match(request, { cacheName });
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith("/api/")) {
+    if (DATA_ROUTES.some(re => re.test(url.pathname))) event.respondWith(networkFirst(request, DATA_CACHE));
+    return;
+  }
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, SHELL_CACHE).catch(() => caches.match("/index.html")));
+    return;
+  }
+  if (SHELL.includes(url.pathname)) event.respondWith(networkFirst(request, SHELL_CACHE));
+});
@@ -4,6 +4,12 @@ const XLSX = require("xlsx");
 const PDFDocument = require("pdfkit");
 const path = require("path");
 const fs = require("fs");
+const { createStorage } = require("./storage");
+const { createAuth } = require("./auth");
+const { writePickList } = require("./picklist");
+const { createInbox } = require("./inbox");
+const { createOdoo } = require("./odoo");
+const i18n = require("./i18n");
 
 const app = express();
 const upload = multer({ dest: "uploads/" });
@@ -11,36 +17,118 @@ const upload = multer({ dest: "uploads/" });
 app.use(express.static("public"));
 app.use(express.json({ limit: "25mb" }));
 
+// Every JSON answer: { code, params } errors and coded messages / reasons in the request language (i18n.js)
+app.use((req, res, next) => {
+  const send = res.json.bind(res);
+  res.json = (body) => send(i18n.localizeBody(body, i18n.requestLang(req), res.statusCode));
+  next();
+});
+
 /* =========================
-   Storage (JSON)
+   Storage (JSON, via storage.js)
 ========================= */
-const DATA_DIR = path.join(__dirname, "data");
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
 const FONTS_DIR = path.join(__dirname, "fonts");
 const AR_FONT_PATH = path.join(FONTS_DIR, "Amiri-Regular.ttf");
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "1234";
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || ""; // first admin account only; required while there are no users
 
 const STOCK_FILE = path.join(DATA_DIR, "stock_master.json");
 const RUNS_FILE = path.join(DATA_DIR, "replan_runs.json");
 const NEWC_FILE = path.join(DATA_DIR, "new_collection.json");
 const LIMITS_FILE = path.join(DATA_DIR, "floor_limits.json");
+const LEDGER_FILE = path.join(DATA_DIR, "stock_ledger.jsonl");
+const SNAP_DIR = path.join(DATA_DIR, "snapshots");
+const SNAP_INDEX_FILE = path.join(DATA_DIR, "stock_snapshots.json");
+const PROFILES_FILE = path.join(DATA_DIR, "import_profiles.json");
+const SALES_FILE = path.join(DATA_DIR, "sales_history.json");
+const USERS_FILE = path.join(DATA_DIR, "users.json");
+const SESSIONS_FILE = path.join(DATA_DIR, "sessions.json");
+const SCAN_LOG_FILE = path.join(DATA_DIR, "scan_log.jsonl");
+const IDEMPOTENCY_FILE = path.join(DATA_DIR, "idempotency_keys.json");
+const INBOX_CONFIG_FILE = path.join(DATA_DIR, "inbox_config.json");
+const INBOX_LOG_FILE = path.join(DATA_DIR, "inbox_log.jsonl");
+const ODOO_CONFIG_FILE = path.join(DATA_DIR, "odoo_config.json");
+const ODOO_LOG_FILE = path.join(DATA_DIR, "odoo_log.jsonl");
+const SYNONYMS_FILE = path.join(DATA_DIR, "synonyms.json");
+const NEWC_RULES_FILE = path.join(DATA_DIR, "new_collection_rules.json");
 
 function ensureDirs() {
   if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
   if (!fs.existsSync("uploads")) fs.mkdirSync("uploads", { recursive: true });
   if (!fs.existsSync(FONTS_DIR)) fs.mkdirSync(FONTS_DIR, { recursive: true });
+  if (!fs.existsSync(SNAP_DIR)) fs.mkdirSync(SNAP_DIR, { recursive: true });
 }
 ensureDirs();
 
-function loadJson(filePath, fallback) {
-  try {
-    if (!fs.existsSync(filePath)) return fallback;
-    return JSON.parse(fs.readFileSync(filePath, "utf8"));
-  } catch {
-    return fallback;
-  }
+const storage = createStorage({ dir: DATA_DIR });
+const recovered = storage.recover();
+if (recovered) console.log(`Storage: replayed ${recovered} journaled write(s) from an interrupted save`);
+
+// "<PREFIX>-<ms>"; a second id in the same millisecond gets "-<n>" added
+let lastIdMs = 0, idSeq = 0;
+function newId(prefix) {
+  const ms = Math.max(Date.now(), lastIdMs);
+  idSeq = ms === lastIdMs ? idSeq + 1 : 0;
+  lastIdMs = ms;
+  return idSeq ? `${prefix}-${ms}-${idSeq}` : `${prefix}-${ms}`;
+}
+
+function loadJson(filePath, fallback) { return storage.load(filePath, fallback); }
+function saveJson(filePath, obj) { storage.save(filePath, obj); }
+
+// Mutating routes: everything the handler saves is committed together, or dropped when it
+// answers with an error status. The JSON response (and any live events) wait until the commit is on disk.
+function tx(handler) {
+  return (req, res, next) => {
+    const send = res.json.bind(res);
+    let body;
+    res.json = (b) => { body = b; return res; };
+    req.events = [];
+    try {
+      storage.transaction(() => {
+        handler(req, res, next);
+        if (res.statusCode >= 400) storage.discard();
+      });
+    } catch (e) {
+      res.json = send;
+      return res.status(e.status || 500).json(i18n.errorBody(e));
+    }
+    res.json = send;
+    if (res.statusCode < 400) for (const [type, data] of req.events) broadcast(type, data);
+    if (body !== undefined) send(body);
+  };
 }
-function saveJson(filePath, obj) {
-  fs.writeFileSync(filePath, JSON.stringify(obj, null, 2), "utf8");
+
+// Execute endpoints: a request carrying an Idempotency-Key that already succeeded gets the stored
+// response back instead of running again (offline queue retries). Stored in the same transaction
+// as the stock move, kept for IDEMPOTENCY_DAYS.
+const IDEMPOTENCY_DAYS = 7;
+function idempotent(handler) {
+  return (req, res, next) => {
+    const key = String(req.headers["idempotency-key"] || "").trim();
+    if (!key) return handler(req, res, next);
+    if (key.length > 128) return res.status(400).json({ code: "IDEMPOTENCY_KEY_TOO_LONG" });
+
+    const id = `${req.user?.username || ""} ${req.method} ${req.baseUrl}${req.path} ${key}`;
+    const store = loadJson(IDEMPOTENCY_FILE, { keys: {} });
+    const hit = store.keys[id];
+    if (hit) {
+      res.setHeader("Idempotent-Replayed", "true");
+      return res.status(hit.status).json(hit.body);
+    }
+
+    const json = res.json;
+    res.json = (body) => {
+      if (res.statusCode < 400) {
+        const cutoff = Date.now() - IDEMPOTENCY_DAYS * 24 * 3600 * 1000;
+        for (const [k, v] of Object.entries(store.keys)) if (Date.parse(v.at) < cutoff) delete store.keys[k];
+        store.keys[id] = { at: new Date().toISOString(), status: res.statusCode, body };
+        saveJson(IDEMPOTENCY_FILE, store);
+      }
+      return json.call(res, body);
+    };
+    return handler(req, res, next);
+  };
 }
 
 function loadStockMaster() {
@@ -51,25 +139,286 @@ function saveStockMaster(master) { saveJson(STOCK_FILE, master); }
 function loadRuns() { return loadJson(RUNS_FILE, { runs: [] }); }
 function saveRuns(runsObj) { saveJson(RUNS_FILE, runsObj); }
 
+// { batches: [newest first], held: [lines waiting for their size run] }; a file from before
+// batches existed is read as one batch
 function loadNewCollection() {
-  return loadJson(NEWC_FILE, { createdAt: null, mode: null, items: [] });
+  const nc = loadJson(NEWC_FILE, { batches: [], held: [] });
+  if (!nc.batches) {
+    return {
+      batches: nc.createdAt ? [{ batchId: "NC-" + Date.parse(nc.createdAt), createdAt: nc.createdAt, mode: nc.mode, items: nc.items || [] }] : [],
+      held: []
+    };
+  }
+  nc.held = nc.held || [];
+  return nc;
 }
 function saveNewCollection(obj) { saveJson(NEWC_FILE, obj); }
 
+function loadNewCollectionRules() {
+  const cfg = loadJson(NEWC_RULES_FILE, {});
+  return { defaultQty: 1, fullSizeRunOnly: false, rules: [], ...cfg };
+}
+function saveNewCollectionRules(obj) { saveJson(NEWC_RULES_FILE, obj); }
+
 function loadLimits() {
-  return loadJson(LIMITS_FILE, { defaultMin: 1, defaultMax: 1, skus: {} });
+  const lim = loadJson(LIMITS_FILE, { defaultMin: 1, defaultMax: 1, skus: {} });
+  lim.skus = lim.skus || {};
+  lim.skuSizes = lim.skuSizes || {};
+  lim.categories = lim.categories || {};
+  return lim;
 }
 function saveLimits(obj) { saveJson(LIMITS_FILE, obj); }
 
-function requireAdmin(req, res) {
-  const pw = String(req.headers["x-admin-password"] || req.body?.password || "").trim();
-  if (!pw || pw !== ADMIN_PASSWORD) {
-    res.status(401).json({ error: "Unauthorized (Admin password required)" });
-    return false;
+function loadSalesHistory() { return loadJson(SALES_FILE, { records: [] }); }
+function saveSalesHistory(obj) { saveJson(SALES_FILE, obj); }
+
+function loadSynonyms() {
+  const d = loadJson(SYNONYMS_FILE, { colors: {}, sizes: {} });
+  d.colors = d.colors || {};
+  d.sizes = d.sizes || {};
+  return d;
+}
+function saveSynonyms(obj) { saveJson(SYNONYMS_FILE, obj); }
+
+function loadSnapshotIndex() { return loadJson(SNAP_INDEX_FILE, { snapshots: [] }); }
+function saveSnapshotIndex(obj) { saveJson(SNAP_INDEX_FILE, obj); }
+
+function snapshotPath(snapshotId) {
+  if (!/^SNAP-\d+(-\d+)?$/.test(String(snapshotId))) return null;
+  return path.join(SNAP_DIR, snapshotId + ".json");
+}
+function loadSnapshot(snapshotId) {
+  const p = snapshotPath(snapshotId);
+  return p ? storage.load(p, null, { cache: false }) : null;
+}
+
+/* =========================
+   Auth: accounts, sessions + route permissions
+   - session token travels in the "sid" cookie (or Authorization: Bearer)
+   - every /api route must be listed in ROUTE_PERMISSIONS; anything else is refused
+   - null = public, "self" = any signed-in user
+========================= */
+const auth = createAuth({ storage, usersFile: USERS_FILE, sessionsFile: SESSIONS_FILE });
+try {
+  if (auth.ensureAdmin(ADMIN_PASSWORD)) console.log('Auth: created user "admin" with the ADMIN_PASSWORD password; change it after signing in');
+} catch (e) {
+  console.error("Auth: " + e.message);
+  process.exit(1);
+}
+
+const ROUTE_PERMISSIONS = {
+  "POST /api/auth/login": null,
+  "POST /api/auth/logout": null,
+  "GET /api/auth/me": "self",
+  "GET /api/events": "view",
+  "POST /api/auth/password": "self",
+  "GET /api/users": "admin",
+  "POST /api/users": "admin",
+  "DELETE /api/users/:username": "admin",
+
+  "POST /api/stock/update": "stock",
+  "POST /api/stock/preview": "stock",
+  "POST /api/stock/clear": "admin",
+  "GET /api/stock/snapshots": "view",
+  "GET /api/stock/snapshots/compare": "view",
+  "GET /api/stock/snapshots/:snapshotId": "view",
+  "POST /api/stock/rollback": "admin",
+  "GET /api/stock/search": "view",
+  "GET /api/categories": "view",
+  "GET /api/ledger": "view",
+  "GET /api/import/profiles": "view",
+  "POST /api/import/profiles": "admin",
+  "DELETE /api/import/profiles/:name": "admin",
+
+  "GET /api/inbox": "stock",
+  "POST /api/inbox/config": "admin",
+  "POST /api/inbox/scan": "stock",
+  "GET /api/inbox/log": "stock",
+  "GET /api/odoo": "stock",
+  "POST /api/odoo/config": "admin",
+  "POST /api/odoo/test": "admin",
+  "POST /api/odoo/sync/stock": "stock",
+  "POST /api/odoo/sync/sales": "plan",
+  "GET /api/odoo/log": "stock",
+
+  "GET /api/limits/get": "view",
+  "GET /api/limits/explain": "view",
+  "GET /api/limits/tree": "view",
+  "GET /api/limits/export": "view",
+  "POST /api/limits/setDefault": "limits",
+  "POST /api/limits/set": "limits",
+  "POST /api/limits/setCategory": "limits",
+  "POST /api/limits/delete": "limits",
+  "POST /api/limits/import": "limits",
+
+  "GET /api/newcollection/latest": "view",
+  "GET /api/newcollection/shortfall": "view",
+  "GET /api/newcollection/batches": "view",
+  "GET /api/newcollection/batches/:batchId": "view",
+  "GET /api/newcollection/held": "view",
+  "GET /api/newcollection/rules": "view",
+  "POST /api/newcollection/rules": "limits",
+  "POST /api/newcollection/release": "plan",
+  "POST /api/newcollection/execute": "execute",
+  "POST /api/newcollection/executeAll": "plan",
+  "POST /api/newcollection/reverse": "admin",
+
+  "POST /api/replan/generate": "plan",
+  "POST /api/replan/preview": "plan",
+  "GET /api/sales/history": "view",
+  "DELETE /api/sales/history/:salesId": "admin",
+  "GET /api/replan/runs": "view",
+  "GET /api/replan/runs/:runId": "view",
+  "GET /api/replan/runs/:runId/shortfall": "view",
+  "GET /api/replan/runs/:runId/unmatched": "view",
+  "GET /api/synonyms": "view",
+  "POST /api/synonyms": "plan",
+  "DELETE /api/synonyms/:type/:from": "plan",
+  "POST /api/replan/execute": "execute",
+  "POST /api/replan/executeAll": "plan",
+  "POST /api/replan/reverse": "admin",
+  "POST /api/replan/updateLine": "plan",
+  "POST /api/replan/skipLine": "plan",
+  "POST /api/replan/cancel": "plan",
+  "POST /api/scan": "execute",
+  "GET /api/scan/log": "view",
+
+  "GET /api/dashboard": "view",
+  "GET /api/export/replan/:runId": "view",
+  "GET /api/export/newcollection": "view",
+  "GET /api/export/replan/:runId/shortfall": "view",
+  "GET /api/export/newcollection/shortfall": "view",
+  "GET /api/export/stock": "view",
+  "GET /api/export/dashboard": "view",
+  "GET /api/replan/:runId/pdf": "view",
+  "GET /api/newcollection/pdf": "view"
+};
+const ROUTE_RULES = Object.entries(ROUTE_PERMISSIONS).map(([key, permission]) => {
+  const [method, route] = key.split(" ");
+  const re = new RegExp("^" + route.replace(/:[^/]+/g, "[^/]+") + "/?$");
+  return { method, re, permission };
+});
+
+function sessionToken(req) {
+  const h = String(req.headers.authorization || "");
+  if (h.startsWith("Bearer ")) return h.slice(7).trim();
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === "sid") return decodeURIComponent(v.join("="));
+  }
+  return null;
+}
+
+function authorize(req, res, next) {
+  const fullPath = req.baseUrl + req.path;
+  const rule = ROUTE_RULES.find(r => r.method === req.method && r.re.test(fullPath));
+  if (!rule) return res.status(403).json({ code: "NO_PERMISSION_RULE" });
+
+  req.user = auth.userForToken(sessionToken(req));
+  if (rule.permission === null) return next();
+  if (!req.user) return res.status(401).json({ code: "SIGN_IN_REQUIRED" });
+  if (rule.permission !== "self" && !req.user.permissions.includes(rule.permission)) {
+    return res.status(403).json({ code: "ROLE_FORBIDDEN", params: { role: req.user.role } });
   }
-  return true;
+  next();
+}
+app.use("/api", authorize);
+
+// Who did it, for runs, lines and the ledger
+function actor(req) { return req.user ? req.user.username : null; }
+
+/* =========================
+   Live events (Server-Sent Events on /api/events)
+   - "line"          { target: "replan"|"newcollection", runId, lines, action }
+   - "run"           { run: runSummary, action: "created"|"cancelled" }
+   - "newcollection" { createdAt, mode, count }
+   - "stock"         { action: "upload"|"rollback"|"clear", updatedAt, totalLines }
+   every event also carries { by, at }
+========================= */
+const sseClients = new Set();
+let sseSeq = 0;
+
+function broadcast(type, data) {
+  const msg = `id: ${++sseSeq}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of sseClients) client.write(msg);
+}
+
+// Inside tx() the event is queued, so a write that gets rolled back is never announced
+function emit(req, type, data) {
+  const ev = { ...data, by: actor(req), at: new Date().toISOString() };
+  if (req.events) req.events.push([type, ev]);
+  else broadcast(type, ev);
 }
 
+app.get("/api/events", (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write("retry: 3000\n\n");
+  sseClients.add(res);
+  const ping = setInterval(() => res.write(": ping\n\n"), 25000);
+  req.on("close", () => {
+    clearInterval(ping);
+    sseClients.delete(res);
+  });
+});
+
+app.post("/api/auth/login", tx((req, res) => {
+  const result = auth.login(req.body?.username, req.body?.password, req.ip);
+  if (result?.retryAfterSec) {
+    res.setHeader("Retry-After", String(result.retryAfterSec));
+    return res.status(429).json({ code: "TOO_MANY_LOGINS", params: { seconds: result.retryAfterSec } });
+  }
+  if (!result) return res.status(401).json({ code: "WRONG_LOGIN" });
+  res.setHeader("Set-Cookie", `sid=${result.token}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${result.maxAgeSec}`);
+  return res.json({ ok: true, user: result.user });
+}));
+
+app.post("/api/auth/logout", tx((req, res) => {
+  auth.logout(sessionToken(req));
+  res.setHeader("Set-Cookie", "sid=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0");
+  return res.json({ ok: true });
+}));
+
+app.get("/api/auth/me", (req, res) => res.json({ user: req.user }));
+
+app.post("/api/auth/password", tx((req, res) => {
+  try {
+    auth.changePassword(req.user.username, req.body?.currentPassword, req.body?.newPassword);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json(i18n.errorBody(e));
+  }
+}));
+
+app.get("/api/users", (req, res) => res.json({ users: auth.listUsers() }));
+
+app.post("/api/users", tx((req, res) => {
+  try {
+    const b = req.body || {};
+    if (String(b.username || "").trim().toLowerCase() === req.user.username && (b.role !== "admin" || b.disabled)) {
+      return res.status(400).json({ code: "CANNOT_DEMOTE_SELF" });
+    }
+    const user = auth.saveUser({ username: b.username, name: b.name, role: b.role, password: b.password, disabled: b.disabled });
+    return res.json({ ok: true, user });
+  } catch (e) {
+    return res.status(400).json(i18n.errorBody(e));
+  }
+}));
+
+app.delete("/api/users/:username", tx((req, res) => {
+  try {
+    if (req.params.username.toLowerCase() === req.user.username) return res.status(400).json({ code: "CANNOT_DELETE_SELF" });
+    if (!auth.deleteUser(req.params.username)) return res.status(404).json({ code: "USER_NOT_FOUND" });
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json(i18n.errorBody(e));
+  }
+}));
+
 /* =========================
    Parsing (A text, B Qty)
 ========================= */
@@ -93,6 +442,7 @@ function parseTextLine(text) {
 
   let color = "";
   let size = "";
+  let ambiguity = null;
 
   const parens = [];
   let m;
@@ -105,58 +455,275 @@ function parseTextLine(text) {
 
     if (parts.length >= 2) {
       const p1 = parts[0], p2 = parts[1];
-      if (looksLikeSize(p1) && !looksLikeSize(p2)) { size = p1; color = p2; }
+      const s1 = looksLikeSize(p1), s2 = looksLikeSize(p2);
+      if (s1 && !s2) { size = p1; color = p2; }
       else { color = p1; size = p2; }
+
+      // Anything but exactly one size-looking part is a guess
+      if (s1 && s2) ambiguity = { code: "BOTH_LOOK_LIKE_SIZE" };
+      else if (!s1 && !s2) ambiguity = { code: "NEITHER_LOOKS_LIKE_SIZE" };
+      if (parts.length > 2) ambiguity = { code: "EXTRA_VALUES", params: { values: parts.slice(2).join(", ") } };
     } else if (parts.length === 1) {
       if (looksLikeSize(parts[0])) size = parts[0];
       else color = parts[0];
     }
   }
-  return { sku, color, size };
+  return ambiguity ? { sku, color, size, ambiguity } : { sku, color, size };
+}
+
+/* =========================
+   Import Profiles
+   - layout "bracketText": one text column ("[sku] Name (color, size)") + qty column,
+     category header rows in between (the Odoo pivot layout)
+   - layout "columns": one column each for sku/size/color/category/qty
+   - columns are letters ("A") or header names (matched against headerRow)
+   - sheet: name or 1-based position; headerRow: 1-based row number, 0 = none
+========================= */
+const DEFAULT_PROFILE = "bracket-text";
+const BUILTIN_PROFILES = {
+  [DEFAULT_PROFILE]: {
+    name: DEFAULT_PROFILE,
+    layout: "bracketText",
+    sheet: 1,
+    headerRow: 0,
+    columns: { text: "A", qty: "B" },
+    encoding: "auto",
+    delimiter: ","
+  }
+};
+const PROFILE_LAYOUTS = {
+  bracketText: ["text", "qty"],
+  columns: ["sku", "qty"] // size, color, category optional
+};
+
+function loadProfiles() {
+  const saved = loadJson(PROFILES_FILE, { profiles: {} });
+  return { ...BUILTIN_PROFILES, ...saved.profiles, ...BUILTIN_PROFILES }; // built-ins listed first, never overridden
+}
+function saveProfiles(profiles) {
+  const out = {};
+  for (const [name, p] of Object.entries(profiles)) if (!BUILTIN_PROFILES[name]) out[name] = p;
+  saveJson(PROFILES_FILE, { profiles: out });
+}
+function getProfile(name) {
+  const profiles = loadProfiles();
+  const p = profiles[String(name || "").trim() || DEFAULT_PROFILE];
+  if (!p) throw i18n.codedError("UNKNOWN_PROFILE", { profile: name }, 400);
+  return p;
+}
+
+// Returns an error { code, params }, or null when the profile is usable
+function validateProfile(p) {
+  if (!p.name || !/^[\w\- ]{1,60}$/.test(p.name)) return { code: "PROFILE_NAME" };
+  if (!PROFILE_LAYOUTS[p.layout]) return { code: "PROFILE_LAYOUT", params: { layouts: Object.keys(PROFILE_LAYOUTS).join(", ") } };
+  for (const c of PROFILE_LAYOUTS[p.layout]) if (!p.columns?.[c]) return { code: "PROFILE_COLUMN_MISSING", params: { column: c } };
+  if (!Number.isInteger(p.headerRow) || p.headerRow < 0) return { code: "PROFILE_HEADER_ROW" };
+  if (p.delimiter && String(p.delimiter).length !== 1) return { code: "PROFILE_DELIMITER" };
+  return null;
+}
+
+/* =========================
+   File Reading (XLSX / RFC 4180 CSV)
+========================= */
+// BOM first, then strict UTF-8, then Windows Arabic (what Excel "CSV" saves on Arabic Windows)
+function decodeText(buf, encoding) {
+  if (encoding && encoding !== "auto") return new TextDecoder(encoding).decode(buf);
+  if (buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF) return new TextDecoder("utf-8").decode(buf.subarray(3));
+  if (buf[0] === 0xFF && buf[1] === 0xFE) return new TextDecoder("utf-16le").decode(buf.subarray(2));
+  if (buf[0] === 0xFE && buf[1] === 0xFF) return new TextDecoder("utf-16be").decode(buf.subarray(2));
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buf);
+  } catch {
+    return new TextDecoder("windows-1256").decode(buf);
+  }
+}
+
+function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [], field = "", inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else field += ch;
+    } else if (ch === '"' && field === "") inQuotes = true;
+    else if (ch === delimiter) { row.push(field); field = ""; }
+    else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row);
+      row = []; field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows;
 }
 
-function readRowsFromUploadedFile(filePath, originalName) {
+// Whole sheet as a 2D array anchored at A1 (so row/column numbers match Excel)
+function readTableFromUploadedFile(filePath, originalName, profile) {
   const ext = path.extname(originalName).toLowerCase();
-  let rows = [];
 
   if (ext === ".xlsx" || ext === ".xls") {
     const wb = XLSX.readFile(filePath);
-    const sheetName = wb.SheetNames[0];
+    const sheetName = typeof profile.sheet === "string" && !/^\d+$/.test(profile.sheet)
+      ? profile.sheet
+      : wb.SheetNames[(Number(profile.sheet) || 1) - 1];
     const ws = wb.Sheets[sheetName];
-    const json = XLSX.utils.sheet_to_json(ws, { header: 1, blankrows: false });
-    rows = json.map(r => [r[0], r[1]]);
-  } else if (ext === ".csv") {
-    const csv = fs.readFileSync(filePath, "utf8");
-    rows = csv.split(/\r?\n/).map(line => {
-      const parts = line.split(",");
-      return [parts[0], parts[1]];
-    });
-  } else {
-    throw new Error("Unsupported file type. Use .xlsx or .csv");
+    if (!ws) throw i18n.codedError("SHEET_NOT_FOUND", { sheet: profile.sheet, sheets: wb.SheetNames.join(", ") }, 400);
+    if (!ws["!ref"]) return [];
+    const range = XLSX.utils.decode_range(ws["!ref"]);
+    range.s = { r: 0, c: 0 };
+    return XLSX.utils.sheet_to_json(ws, { header: 1, blankrows: true, defval: "", range });
   }
-  return rows;
+  if (ext === ".csv") {
+    const text = decodeText(fs.readFileSync(filePath), profile.encoding);
+    return parseCsv(text, profile.delimiter || ",");
+  }
+  throw i18n.codedError("UNSUPPORTED_FILE", {}, 400);
+}
+
+function columnIndex(ref, header) {
+  const s = String(ref ?? "").trim();
+  if (!s) return -1;
+  // Header names win over letters, so a column titled "QTY" is not read as column QTY
+  const i = header.findIndex(h => String(h ?? "").trim().toLowerCase() === s.toLowerCase());
+  if (i >= 0) return i;
+  if (/^[A-Z]{1,3}$/.test(s)) return XLSX.utils.decode_col(s);
+  throw i18n.codedError("COLUMN_NOT_FOUND", { column: s }, 400);
+}
+
+// Parsed lines [{category, sku, size, color, qty}] for any profile.
+// Pass a report (newParseReport()) to collect what was skipped, guessed or merged.
+function readLinesFromUploadedFile(filePath, originalName, profile, report) {
+  const table = readTableFromUploadedFile(filePath, originalName, profile);
+  const header = profile.headerRow > 0 ? (table[profile.headerRow - 1] || []) : [];
+  const body = table.slice(profile.headerRow || 0);
+  const col = {};
+  for (const [field, ref] of Object.entries(profile.columns || {})) col[field] = columnIndex(ref, header);
+  const cell = (r, field) => (col[field] >= 0 ? r[col[field]] : "");
+
+  const firstRow = (profile.headerRow || 0) + 1;
+
+  if (profile.layout === "bracketText") {
+    return parseRows(body.map((r, i) => [cell(r, "text"), cell(r, "qty"), firstRow + i]), report);
+  }
+  return parseColumnRows(body.map((r, i) => ({
+    sku: cell(r, "sku"), size: cell(r, "size"), color: cell(r, "color"), category: cell(r, "category"), qty: cell(r, "qty"), row: firstRow + i
+  })), report);
 }
 
-function parseRows(rows) {
+/* =========================
+   Parse Report (dry-run preview)
+   - skipped: rows dropped, with reason
+   - ambiguous: size/color guesses from parseTextLine
+   - warnings: rows kept but with a bad qty
+   - duplicates: keys seen on more than one row (merged)
+   - categories: header rows taken as the current category
+========================= */
+function newParseReport() {
+  return { rowsRead: 0, skipped: [], ambiguous: [], warnings: [], duplicates: [], categories: [], _rowsByKey: new Map() };
+}
+function noteRow(report, key, row) {
+  if (!report) return;
+  if (!report._rowsByKey.has(key)) report._rowsByKey.set(key, []);
+  report._rowsByKey.get(key).push(row);
+}
+function noteQty(report, raw, row, text) {
+  if (!report) return;
+  if (String(raw ?? "").trim() !== "" && !Number.isFinite(Number(raw))) {
+    report.warnings.push({ row, text, ...i18n.coded("reason", "QTY_NOT_NUMBER", { qty: raw }) });
+  }
+}
+function finishParseReport(report, lines) {
+  const qtyByKey = new Map(lines.map(l => [`${l.category}||${l.sku}||${l.size}||${l.color}`, l.qty]));
+  for (const [key, rows] of report._rowsByKey.entries()) {
+    if (rows.length < 2) continue;
+    const [category, sku, size, color] = key.split("||");
+    report.duplicates.push({ category, sku, size, color, rows, qty: qtyByKey.get(key) || 0 });
+  }
+  delete report._rowsByKey;
+
+  report.summary = {
+    rowsRead: report.rowsRead,
+    parsedLines: lines.length,
+    totalQty: lines.reduce((s, l) => s + (Number(l.qty) || 0), 0),
+    skipped: report.skipped.length,
+    ambiguous: report.ambiguous.length,
+    warnings: report.warnings.length,
+    duplicates: report.duplicates.length,
+    categories: report.categories.length
+  };
+  return report;
+}
+
+function parseRows(rows, report) {
   let currentCategory = "";
   const agg = new Map(); // category||sku||size||color -> qty
 
-  for (const r of rows) {
+  rows.forEach((r, i) => {
+    const row = r[2] ?? i + 1;
     const text = String(r[0] ?? "").trim();
     const qty = Number(r[1]) || 0;
-    if (!text) continue;
+    const blank = !text && String(r[1] ?? "").trim() === "";
+    if (report && !blank) report.rowsRead++;
+    if (!text) {
+      if (report && !blank) report.skipped.push({ row, text: "", qty: r[1], ...i18n.coded("reason", "EMPTY_TEXT_WITH_QTY") });
+      return;
+    }
 
     const hasSku = skuRegex.test(text);
     if (!hasSku) {
-      if (text.toLowerCase() !== "quantity") currentCategory = text;
-      continue;
+      if (text.toLowerCase() !== "quantity") {
+        currentCategory = text;
+        if (report) {
+          report.categories.push({ row, category: text });
+          if (/\[[^\]]+\]/.test(text)) report.warnings.push({ row, text, ...i18n.coded("reason", "BRACKET_NOT_SKU") });
+        }
+      } else if (report) report.skipped.push({ row, text, ...i18n.coded("reason", "HEADER_ROW") });
+      return;
     }
 
-    const { sku, color, size } = parseTextLine(text);
-    if (!sku) continue;
+    const { sku, color, size, ambiguity } = parseTextLine(text);
+    if (!sku) {
+      if (report) report.skipped.push({ row, text, ...i18n.coded("reason", "NO_SKU_FOUND") });
+      return;
+    }
+    if (report && ambiguity) report.ambiguous.push({ row, text, sku, size, color, ...i18n.coded("reason", ambiguity.code, ambiguity.params) });
+    noteQty(report, r[1], row, text);
 
     const key = `${currentCategory}||${sku}||${size}||${color}`;
     agg.set(key, (agg.get(key) || 0) + qty);
+    noteRow(report, key, row);
+  });
+
+  const out = [];
+  for (const [key, qty] of agg.entries()) {
+    const [category, sku, size, color] = key.split("||");
+    out.push({ category, sku, size, color, qty });
+  }
+  if (report) finishParseReport(report, out);
+  return out;
+}
+
+function parseColumnRows(rows, report) {
+  const agg = new Map(); // category||sku||size||color -> qty
+
+  for (const r of rows) {
+    const blank = ["sku", "size", "color", "category", "qty"].every(f => String(r[f] ?? "").trim() === "");
+    if (blank) continue;
+    if (report) report.rowsRead++;
+
+    const sku = String(r.sku ?? "").trim().replace(/^\[(.*)\]$/, "$1");
+    if (!sku) {
+      if (report) report.skipped.push({ row: r.row, text: [r.category, r.size, r.color].filter(Boolean).join(" / "), qty: r.qty, ...i18n.coded("reason", "ROW_MISSING_SKU") });
+      continue;
+    }
+    noteQty(report, r.qty, r.row, sku);
+    const key = [r.category, sku, r.size, r.color].map(v => String(v ?? "").trim()).join("||");
+    agg.set(key, (agg.get(key) || 0) + (Number(r.qty) || 0));
+    noteRow(report, key, r.row);
   }
 
   const out = [];
@@ -164,6 +731,7 @@ function parseRows(rows) {
     const [category, sku, size, color] = key.split("||");
     out.push({ category, sku, size, color, qty });
   }
+  if (report) finishParseReport(report, out);
   return out;
 }
 
@@ -172,558 +740,2706 @@ function makeKey(sku, size, color) {
 }
 
 /* =========================
-   Limits (Min/Max per SKU)
+   Size / color dictionary (applied to every stock and sales import)
+   - { colors: { "كافيه": "كافية" }, sizes: { "8y": "8" } }: keys are normText() spellings,
+     values the spelling the stock uses
+   - lines that land on the same key after mapping are merged (qty added)
+   - stock already kept under a spelling mapped later moves to the mapped key at the next upload
+   - sales lines with no stock key are kept on the run (run.unmatched) with near matches:
+     same SKU, and the size (or color) equal or one edit away -> the other field is a candidate entry
+========================= */
+const SYNONYM_TYPES = { color: "colors", size: "sizes" };
+
+function applySynonyms(lines, report, dict = loadSynonyms()) {
+  const map = (table, v) => table[normText(v)] ?? v;
+  const agg = new Map();
+  let mapped = 0;
+  for (const l of lines) {
+    const size = map(dict.sizes, l.size), color = map(dict.colors, l.color);
+    if (size !== l.size || color !== l.color) mapped++;
+    const key = `${l.category}||${l.sku}||${size}||${color}`;
+    if (agg.has(key)) agg.get(key).qty += Number(l.qty) || 0;
+    else agg.set(key, { ...l, size, color, qty: Number(l.qty) || 0 });
+  }
+  if (report?.summary) report.summary.mapped = mapped;
+  return Array.from(agg.values());
+}
+
+// Stock kept under a spelling the dictionary now maps elsewhere moves (backroom and floor) to the
+// mapped key before an upload is compared with it: the line is not taken for a new one and its
+// floor pieces carry over. Returns the re-keyed items + the ledger movements of the move.
+function rekeyStockItems(items, src, dict = loadSynonyms()) {
+  const map = (table, v) => table[normText(v)] ?? v;
+  const out = {}, ledger = [], moved = [];
+  for (const [key, st] of Object.entries(items)) {
+    const size = map(dict.sizes, st.size), color = map(dict.colors, st.color);
+    const to = makeKey(st.sku, size, color);
+    if (to === key) out[key] = { ...st };
+    else moved.push({ key, to, st, size, color });
+  }
+  for (const { key, to, st, size, color } of moved) {
+    if (!out[to]) out[to] = { ...st, size, color, qty: 0, floorQty: 0 };
+    for (const loc of Object.keys(LOCATIONS)) {
+      const qty = locQty(st, loc);
+      if (!qty) continue;
+      out[to][LOCATIONS[loc]] = locQty(out[to], loc) + qty;
+      ledger.push(movement(key, st, loc, -qty, src), movement(to, out[to], loc, qty, src));
+    }
+  }
+  return { items: out, ledger };
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Up to 3 dictionary candidates for a sales line, closest first. A size/color the SKU is
+// stocked in is a real value, never offered as a misspelling.
+function nearMatches(line, candidates) {
+  const sizes = new Set(candidates.map(st => st.size));
+  const colors = new Set(candidates.map(st => st.color));
+  const found = new Map();
+  const add = (type, from, to, lineId) => {
+    if (!String(from).trim() || from === to) return;
+    const distance = editDistance(normText(from), normText(to));
+    const id = `${type}|${from}|${to}`;
+    if (!found.has(id) || found.get(id).distance > distance) found.set(id, { type, from, to, lineId, distance });
+  };
+  for (const st of candidates) {
+    const near = (a, b) => a === b || editDistance(normText(a), normText(b)) <= 1;
+    if (!colors.has(line.color) && near(st.size, line.size)) add("color", line.color, st.color, st.lineId);
+    if (!sizes.has(line.size) && near(st.color, line.color)) add("size", line.size, st.size, st.lineId);
+  }
+  return Array.from(found.values()).sort((a, b) => a.distance - b.distance).slice(0, 3);
+}
+
+// Sales lines whose key is not in stock, biggest qty first
+function unmatchedSales(salesLines, stockItems) {
+  const bySku = new Map();
+  for (const [key, st] of Object.entries(stockItems)) {
+    if (!bySku.has(String(st.sku))) bySku.set(String(st.sku), []);
+    bySku.get(String(st.sku)).push({ lineId: key, ...st });
+  }
+  const out = new Map();
+  for (const l of salesLines) {
+    const key = makeKey(l.sku, l.size, l.color);
+    if (stockItems[key]) continue;
+    if (out.has(key)) { out.get(key).qty += Number(l.qty) || 0; continue; }
+    const candidates = bySku.get(String(l.sku)) || [];
+    const suggestions = nearMatches(l, candidates);
+    out.set(key, {
+      key, category: l.category, sku: l.sku, size: l.size, color: l.color, qty: Number(l.qty) || 0,
+      ...i18n.coded("reason", !candidates.length ? "SKU_NOT_IN_STOCK" : suggestions.length ? "SPELLED_DIFFERENTLY" : "NO_STOCK_LINE"),
+      suggestions
+    });
+  }
+  return Array.from(out.values()).sort((a, b) => b.qty - a.qty || String(a.sku).localeCompare(String(b.sku)));
+}
+
+/* =========================
+   Limits (Min/Max, most specific rule wins)
+   1. skuSizes["sku||size"]
+   2. skus["sku"]
+   3. categories["All / Saleable / Boys"] (deepest matching prefix)
+   4. defaultMin / defaultMax
 ========================= */
-function getSkuLimits(sku) {
-  const lim = loadLimits();
-  const rec = lim.skus?.[String(sku)] || {};
-  const min = Number.isFinite(Number(rec.min)) ? Number(rec.min) : Number(lim.defaultMin || 1);
-  const max = Number.isFinite(Number(rec.max)) ? Number(rec.max) : Number(lim.defaultMax || 1);
+const CAT_SEP = " / ";
+
+function normCategory(category) {
+  return String(category || "").split("/").map(x => x.trim()).filter(Boolean).join(CAT_SEP);
+}
+// "A / B / C" -> ["A", "A / B", "A / B / C"]
+function categoryPrefixes(category) {
+  const parts = normCategory(category).split(CAT_SEP).filter(Boolean);
+  return parts.map((_, i) => parts.slice(0, i + 1).join(CAT_SEP));
+}
+// Subtree match: "All / Saleable" takes "All / Saleable" and "All / Saleable / Boys / ..."
+function inCategory(category, filter) {
+  const f = normCategory(filter);
+  if (!f) return true;
+  const c = normCategory(category);
+  return c === f || c.startsWith(f + CAT_SEP);
+}
+function normLimit(rec, fallbackMin, fallbackMax) {
+  const min = Number.isFinite(Number(rec?.min)) ? Number(rec.min) : Number(fallbackMin ?? 1);
+  const max = Number.isFinite(Number(rec?.max)) ? Number(rec.max) : Number(fallbackMax ?? 1);
   return { min: Math.max(0, Math.floor(min)), max: Math.max(0, Math.floor(max)) };
 }
-function clampPull(balance, min, max) {
+
+// Every rule that matches the line, most specific first
+function limitCandidates(lim, { sku, size, category }) {
+  const out = [];
+  const skuSizeKey = `${sku}||${size || ""}`;
+  if (lim.skuSizes?.[skuSizeKey]) out.push({ type: "sku+size", key: skuSizeKey, ...normLimit(lim.skuSizes[skuSizeKey]) });
+  if (lim.skus?.[String(sku)]) out.push({ type: "sku", key: String(sku), ...normLimit(lim.skus[String(sku)]) });
+  for (const prefix of categoryPrefixes(category).reverse()) {
+    if (lim.categories?.[prefix]) out.push({ type: "category", key: prefix, ...normLimit(lim.categories[prefix]) });
+  }
+  out.push({ type: "default", key: null, ...normLimit(null, lim.defaultMin, lim.defaultMax) });
+  return out;
+}
+function resolveLimits(lim, line) {
+  const rule = limitCandidates(lim, line)[0];
+  return { min: rule.min, max: rule.max, rule: { type: rule.type, key: rule.key } };
+}
+function clampPull(balance, min, max, onFloor = 0) {
   if (balance < min) return 0;
-  return Math.min(balance, max);
+  return Math.min(balance, Math.max(0, max - onFloor));
 }
 
 /* =========================
-   STOCK UPDATE (REPLACE)
-   - After Clear: NewCollection = ALL keys, qty=1, Pending
-   - Normal update: NewCollection = ONLY new keys, qty=1, Pending
+   Sales History + Velocity
+   - every sales upload is kept as a dated record: { salesId, salesDate, salesDays, items: {key: qty}, floorSold: {key: qty} }
+   - salesDate = last day the report covers, salesDays = how many days it covers
+   - avg daily sales = record qty pro-rated by overlap with the window / windowDays
 ========================= */
-app.post("/api/stock/update", upload.single("stock"), (req, res) => {
-  try {
-    if (!requireAdmin(req, res)) return;
-    if (!req.file) return res.status(400).json({ error: "No stock file uploaded" });
+const DAY_MS = 24 * 3600 * 1000;
+const REPLAN_MODES = ["minmax", "velocity"];
 
-    const oldMaster = loadStockMaster();
-    const oldItems = oldMaster.items || {};
-    const hadOldStock = Object.keys(oldItems).length > 0;
+function dayStart(iso) {
+  const d = new Date(iso);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
 
-    const rows = readRowsFromUploadedFile(req.file.path, req.file.originalname);
-    fs.unlinkSync(req.file.path);
+function avgDailySales(records, asOfIso, windowDays) {
+  const windowEnd = dayStart(asOfIso);
+  const windowStart = windowEnd - (windowDays - 1) * DAY_MS;
+  const totals = new Map();
+
+  for (const rec of records) {
+    const days = Math.max(1, Number(rec.salesDays) || 1);
+    const recEnd = dayStart(rec.salesDate);
+    const recStart = recEnd - (days - 1) * DAY_MS;
+    const overlap = Math.floor((Math.min(recEnd, windowEnd) - Math.max(recStart, windowStart)) / DAY_MS) + 1;
+    if (overlap <= 0) continue;
+
+    const share = overlap / days;
+    for (const [key, qty] of Object.entries(rec.items || {})) {
+      totals.set(key, (totals.get(key) || 0) + (Number(qty) || 0) * share);
+    }
+  }
 
-    const parsed = parseRows(rows);
+  const out = new Map();
+  for (const [key, qty] of totals.entries()) out.set(key, qty / windowDays);
+  return out;
+}
 
-    // Build new snapshot (REPLACE)
-    const newItems = {};
-    for (const it of parsed) {
-      const key = makeKey(it.sku, it.size, it.color);
-      newItems[key] = {
-        sku: it.sku,
-        size: it.size,
-        color: it.color,
-        category: it.category,
-        qty: Number(it.qty) || 0
-      };
-    }
+// Target floor = avg daily sales x cover days, capped by Max only: a slow seller's target may sit
+// under Min (Min still gates the backroom, as in Min/Max); pull what the floor lacks
+function velocityPull(balance, min, max, onFloor, avgDaily, coverDays) {
+  if (balance < min) return { targetQty: 0, pullQty: 0 };
+  const targetQty = Math.min(max, Math.ceil(avgDaily * coverDays));
+  return { targetQty, pullQty: Math.min(balance, Math.max(0, targetQty - onFloor)) };
+}
 
-    const nowIso = new Date().toISOString();
-    const newCollection = [];
-
-    if (!hadOldStock) {
-      // Base after clear: ALL keys
-      for (const key of Object.keys(newItems)) {
-        const x = newItems[key];
-        if ((Number(x.qty) || 0) >= 1) {
-          newCollection.push({
-            lineId: key,
-            category: x.category,
-            sku: x.sku,
-            size: x.size,
-            color: x.color,
-            qty: 1,
-            status: "Pending",
-            executedAt: null
-          });
-        }
-      }
-      saveNewCollection({ createdAt: nowIso, mode: "BASE_PENDING_ALL", items: newCollection });
-    } else {
-      // Normal update: ONLY new keys
-      for (const key of Object.keys(newItems)) {
-        if (!oldItems[key]) {
-          const x = newItems[key];
-          if ((Number(x.qty) || 0) >= 1) {
-            newCollection.push({
-              lineId: key,
-              category: x.category,
-              sku: x.sku,
-              size: x.size,
-              color: x.color,
-              qty: 1,
-              status: "Pending",
-              executedAt: null
-            });
-          }
-        }
-      }
-      saveNewCollection({ createdAt: nowIso, mode: "UPDATE_PENDING_NEW_ONLY", items: newCollection });
-    }
+/* =========================
+   Locations (backroom / floor)
+   - qty      = backroom (what the stock upload sets)
+   - floorQty = pieces already moved to the sales floor
+========================= */
+const LOCATIONS = { backroom: "qty", floor: "floorQty" };
 
-    const master = { updatedAt: nowIso, sourceFileName: req.file.originalname, items: newItems };
-    saveStockMaster(master);
+function locQty(st, loc) {
+  return Number(st?.[LOCATIONS[loc]]) || 0;
+}
+function moveStock(st, qty, from, to) {
+  st[LOCATIONS[from]] = locQty(st, from) - qty;
+  st[LOCATIONS[to]] = locQty(st, to) + qty;
+}
 
-    return res.json({
-      updatedAt: master.updatedAt,
-      totalLines: Object.keys(newItems).length,
-      baseMode: !hadOldStock,
-      newCollectionCount: newCollection.length
-    });
-  } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+/* =========================
+   Movement Ledger (append-only JSONL)
+   - one record per location change: lineId, location, delta, source, reason
+   - src = { at, source: "replan"|"newcollection"|"upload"|"rollback"|"clear"|"sales"|"reversal", sourceId,
+     reason + reasonCode/reasonParams (i18n.coded), note (what the user typed, reversals), by }
+========================= */
+function movement(lineId, st, location, delta, src) {
+  return {
+    at: src.at,
+    lineId,
+    sku: st.sku,
+    size: st.size,
+    color: st.color,
+    location,
+    delta,
+    source: src.source,
+    sourceId: src.sourceId || null,
+    reason: src.reason || "",
+    reasonCode: src.reasonCode || null,
+    reasonParams: src.reasonParams,
+    note: src.note || "",
+    by: src.by || null
+  };
+}
+function recordMove(ledger, lineId, st, qty, from, to, src) {
+  moveStock(st, qty, from, to);
+  ledger.push(movement(lineId, st, from, -qty, src), movement(lineId, st, to, qty, src));
+}
+// Full replacement of the master: log the backroom difference for every key that changed
+function replaceMovements(oldItems, newItems, src) {
+  const out = [];
+  for (const key of new Set([...Object.keys(oldItems), ...Object.keys(newItems)])) {
+    const delta = locQty(newItems[key], "backroom") - locQty(oldItems[key], "backroom");
+    if (delta !== 0) out.push(movement(key, newItems[key] || oldItems[key], "backroom", delta, src));
   }
-});
-
-// Clear stock (Admin)
-app.post("/api/stock/clear", (req, res) => {
-  try {
-    if (!requireAdmin(req, res)) return;
-    saveStockMaster({ updatedAt: new Date().toISOString(), sourceFileName: null, items: {} });
-    saveRuns({ runs: [] });
-    saveNewCollection({ createdAt: null, mode: null, items: [] });
-    return res.json({ ok: true });
-  } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+  return out;
+}
+function appendLedger(entries) {
+  if (!entries.length) return;
+  storage.appendLines(LEDGER_FILE, entries.map(e => JSON.stringify(e)));
+}
+// Put an executed line's quantity back in the backroom; pieces no longer on the floor
+// (pre-location data) are credited straight to the backroom.
+function reverseMove(ledger, lineId, st, qty, src) {
+  const fromFloor = Math.min(locQty(st, "floor"), qty);
+  if (fromFloor > 0) recordMove(ledger, lineId, st, fromFloor, "floor", "backroom", src);
+  const rest = qty - fromFloor;
+  if (rest > 0) {
+    st.qty = locQty(st, "backroom") + rest;
+    ledger.push(movement(lineId, st, "backroom", rest, src));
   }
-});
+}
+function loadLedger() {
+  const out = [];
+  for (const line of storage.readLines(LEDGER_FILE)) {
+    try { out.push(JSON.parse(line)); } catch { /* skip torn line */ }
+  }
+  return out;
+}
 
 /* =========================
-   Stock Search (Qty>0 only)
+   Snapshots + Diff
+   - every upload (and rollback) stores the new master as a snapshot; the newest SNAPSHOTS_KEPT are kept
+   - diff compares backroom qty per key, summarised per category
 ========================= */
-app.get("/api/stock/search", (req, res) => {
-  try {
-    const q = String(req.query.q || "").trim().toLowerCase();
-    const category = String(req.query.category || "").trim();
-    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 2000);
+function diffStock(oldItems, newItems) {
+  const keys = { added: [], removed: [], increased: [], decreased: [] };
+  const byCat = new Map();
+  const catRow = (category) => {
+    if (!byCat.has(category)) byCat.set(category, { category, added: 0, removed: 0, increased: 0, decreased: 0, qtyBefore: 0, qtyAfter: 0 });
+    return byCat.get(category);
+  };
+
+  for (const key of new Set([...Object.keys(oldItems), ...Object.keys(newItems)])) {
+    const a = oldItems[key], b = newItems[key];
+    const x = b || a;
+    const before = locQty(a, "backroom"), after = locQty(b, "backroom");
+    const row = { key, category: x.category, sku: x.sku, size: x.size, color: x.color, before, after, delta: after - before };
+    const cat = catRow(x.category);
+    cat.qtyBefore += before;
+    cat.qtyAfter += after;
+
+    if (!a) { keys.added.push(row); cat.added++; }
+    else if (!b) { keys.removed.push(row); cat.removed++; }
+    else if (row.delta > 0) { keys.increased.push(row); cat.increased++; }
+    else if (row.delta < 0) { keys.decreased.push(row); cat.decreased++; }
+  }
 
-    const stockMaster = loadStockMaster();
-    const itemsObj = stockMaster.items || {};
-    let items = Object.values(itemsObj);
-
-    items = items.filter(x => (Number(x.qty) || 0) > 0); // hide zero
-    if (category) items = items.filter(x => x.category === category);
-
-    if (q) {
-      items = items.filter(x => {
-        const sku = String(x.sku || "").toLowerCase();
-        const size = String(x.size || "").toLowerCase();
-        const color = String(x.color || "").toLowerCase();
-        const cat = String(x.category || "").toLowerCase();
-        return sku.includes(q) || size.includes(q) || color.includes(q) || cat.includes(q);
+  const byCategory = Array.from(byCat.values())
+    .map(c => ({ ...c, delta: c.qtyAfter - c.qtyBefore }))
+    .filter(c => c.added || c.removed || c.increased || c.decreased)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || String(a.category).localeCompare(String(b.category)));
+
+  const summary = {
+    added: keys.added.length,
+    removed: keys.removed.length,
+    increased: keys.increased.length,
+    decreased: keys.decreased.length,
+    qtyBefore: Object.values(oldItems).reduce((s, x) => s + locQty(x, "backroom"), 0),
+    qtyAfter: Object.values(newItems).reduce((s, x) => s + locQty(x, "backroom"), 0)
+  };
+
+  return { summary, byCategory, keys };
+}
+
+const SNAPSHOTS_KEPT = Number(process.env.SNAPSHOTS_KEPT) || 200;
+
+function saveSnapshot(master, oldItems, note) {
+  const snapshotId = newId("SNAP");
+  const diff = diffStock(oldItems, master.items);
+  const meta = {
+    snapshotId,
+    createdAt: master.updatedAt,
+    createdBy: master.updatedBy || null,
+    sourceFileName: master.sourceFileName,
+    note: note || "",
+    totalLines: Object.keys(master.items).length,
+    diffSummary: diff.summary
+  };
+  storage.save(snapshotPath(snapshotId), { ...meta, items: master.items, diff }, { cache: false });
+
+  const idx = loadSnapshotIndex();
+  idx.snapshots.unshift(meta);
+  for (const old of idx.snapshots.splice(SNAPSHOTS_KEPT)) storage.remove(snapshotPath(old.snapshotId));
+  saveSnapshotIndex(idx);
+  return { meta, diff };
+}
+
+// Build new snapshot (REPLACE). A key listed under two categories keeps the last one;
+// pass a report to have those collisions listed.
+function buildStockItems(parsed, oldItems, report) {
+  const newItems = {};
+  for (const it of parsed) {
+    const key = makeKey(it.sku, it.size, it.color);
+    if (report && newItems[key]) {
+      report.duplicates.push({
+        category: it.category, sku: it.sku, size: it.size, color: it.color, rows: [], qty: Number(it.qty) || 0,
+        ...i18n.coded("reason", "ALSO_UNDER", { category: newItems[key].category, qty: newItems[key].qty })
       });
     }
+    newItems[key] = {
+      sku: it.sku,
+      size: it.size,
+      color: it.color,
+      category: it.category,
+      qty: Number(it.qty) || 0,
+      floorQty: locQty(oldItems[key], "floor") // pieces already out stay out
+    };
+  }
+  return newItems;
+}
 
-    items.sort((a, b) => (Number(b.qty) || 0) - (Number(a.qty) || 0));
-    return res.json({ updatedAt: stockMaster.updatedAt, count: items.length, items: items.slice(0, limit) });
-  } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+// Parse an upload without saving anything; returns the parse report + lines
+function previewUploadedFile(file, profileName) {
+  const report = newParseReport();
+  let profile, lines;
+  try {
+    profile = getProfile(profileName);
+    lines = readLinesFromUploadedFile(file.path, file.originalname, profile, report);
+  } finally {
+    fs.unlinkSync(file.path);
   }
-});
+  return { fileName: file.originalname, profile: profile.name, ...report, lines };
+}
 
 /* =========================
-   Limits APIs
+   STOCK UPDATE (REPLACE)
+   - After Clear: new New Collection batch = ALL keys, Pending
+   - Normal update: new batch = ONLY new keys (+ held lines whose size run is now complete)
+   - opening qty and holds follow the New Collection rules (see fillNewCollection)
 ========================= */
-app.get("/api/limits/get", (req, res) => res.json(loadLimits()));
+// Shared by the upload route, the inbox watcher and the Odoo sync. ctx is the request (or a
+// stand-in for one): who did it + where live events queue. Returns the route's JSON body.
+function applyStockFile(ctx, filePath, fileName, profileName) {
+  return applyStockLines(ctx, readLinesFromUploadedFile(filePath, fileName, getProfile(profileName)), fileName);
+}
+
+// parsed: [{ sku, size, color, category, qty }]; fileName is also the ledger/snapshot source
+function applyStockLines(ctx, parsed, fileName) {
+  const nowIso = new Date().toISOString();
+  const oldMaster = loadStockMaster();
+  const rekeyed = rekeyStockItems(oldMaster.items || {},
+    { at: nowIso, source: "upload", sourceId: fileName, ...i18n.coded("reason", "LEDGER_SYNONYM"), by: actor(ctx) });
+  const oldItems = rekeyed.items;
+  const hadOldStock = Object.keys(oldItems).length > 0;
+
+  const newItems = buildStockItems(applySynonyms(parsed), oldItems);
+
+  const nc = loadNewCollection();
+  const newKeys = Object.keys(newItems).filter(key => !hadOldStock || !oldItems[key]);
+  const batch = fillNewCollection(nc, newItems, newKeys, {
+    createdAt: nowIso,
+    createdBy: actor(ctx),
+    mode: hadOldStock ? "UPDATE_PENDING_NEW_ONLY" : "BASE_PENDING_ALL",
+    sourceFileName: fileName
+  });
+  saveNewCollection(nc);
+
+  const master = { updatedAt: nowIso, updatedBy: actor(ctx), sourceFileName: fileName, items: newItems };
+  saveStockMaster(master);
+
+  appendLedger(rekeyed.ledger);
+  appendLedger(replaceMovements(oldItems, newItems,
+    { at: nowIso, source: "upload", sourceId: fileName, ...i18n.coded("reason", "LEDGER_UPLOAD"), by: actor(ctx) }));
+
+  const snap = saveSnapshot(master, oldItems, hadOldStock ? "" : "Base upload");
+
+  emit(ctx, "stock", { action: "upload", updatedAt: master.updatedAt, totalLines: Object.keys(newItems).length });
+  if (batch) emit(ctx, "newcollection", { batchId: batch.batchId, createdAt: batch.createdAt, mode: batch.mode, count: batch.items.length });
+  return {
+    updatedAt: master.updatedAt,
+    updatedBy: master.updatedBy,
+    totalLines: Object.keys(newItems).length,
+    baseMode: !hadOldStock,
+    newCollectionCount: batch ? batch.items.length : 0,
+    newCollectionBatchId: batch?.batchId || null,
+    heldBack: nc.held.length,
+    snapshotId: snap.meta.snapshotId,
+    diff: { summary: snap.diff.summary, byCategory: snap.diff.byCategory }
+  };
+}
 
-app.post("/api/limits/setDefault", (req, res) => {
+app.post("/api/stock/update", upload.single("stock"), tx((req, res) => {
   try {
-    const defaultMin = Number(req.body?.defaultMin);
-    const defaultMax = Number(req.body?.defaultMax);
-    if (!Number.isFinite(defaultMin) || !Number.isFinite(defaultMax)) return res.status(400).json({ error: "defaultMin/defaultMax must be numbers" });
+    if (!req.file) return res.status(400).json({ code: "NO_STOCK_FILE" });
+    try {
+      return res.json(applyStockFile(req, req.file.path, req.file.originalname, req.body?.profile));
+    } finally {
+      fs.unlinkSync(req.file.path);
+    }
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
 
-    const lim = loadLimits();
-    lim.defaultMin = Math.max(0, Math.floor(defaultMin));
-    lim.defaultMax = Math.max(0, Math.floor(defaultMax));
-    saveLimits(lim);
-    return res.json({ ok: true, defaultMin: lim.defaultMin, defaultMax: lim.defaultMax });
+// Dry run: parse + diff against the current master, nothing is saved
+app.post("/api/stock/preview", upload.single("stock"), (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ code: "NO_STOCK_FILE" });
+
+    const report = previewUploadedFile(req.file, req.body?.profile);
+    const oldItems = rekeyStockItems(loadStockMaster().items || {}, {}).items;
+    const newItems = buildStockItems(applySynonyms(report.lines, report), oldItems, report);
+    report.summary.duplicates = report.duplicates.length;
+
+    const diff = diffStock(oldItems, newItems);
+    return res.json({ ...report, totalLines: Object.keys(newItems).length, diff: { summary: diff.summary, byCategory: diff.byCategory } });
   } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+    return res.status(e.status || 500).json(i18n.errorBody(e));
   }
 });
 
-app.post("/api/limits/set", (req, res) => {
+// Clear stock (Admin)
+app.post("/api/stock/clear", tx((req, res) => {
   try {
-    const sku = String(req.body?.sku || "").trim();
-    const min = Number(req.body?.min);
-    const max = Number(req.body?.max);
-    if (!sku) return res.status(400).json({ error: "Missing sku" });
-    if (!Number.isFinite(min) || !Number.isFinite(max)) return res.status(400).json({ error: "min/max must be numbers" });
+    const oldItems = loadStockMaster().items || {};
+    const nowIso = new Date().toISOString();
+    saveStockMaster({ updatedAt: nowIso, updatedBy: actor(req), sourceFileName: null, items: {} });
 
-    const lim = loadLimits();
-    lim.skus = lim.skus || {};
-    lim.skus[sku] = { min: Math.max(0, Math.floor(min)), max: Math.max(0, Math.floor(max)) };
-    saveLimits(lim);
-    return res.json({ ok: true, sku, limits: lim.skus[sku] });
+    const ledger = [];
+    const src = { at: nowIso, source: "clear", ...i18n.coded("reason", "LEDGER_CLEAR"), by: actor(req) };
+    for (const [key, st] of Object.entries(oldItems)) {
+      for (const loc of Object.keys(LOCATIONS)) {
+        if (locQty(st, loc) !== 0) ledger.push(movement(key, st, loc, -locQty(st, loc), src));
+      }
+    }
+    appendLedger(ledger);
+
+    saveRuns({ runs: [] });
+    saveNewCollection({ batches: [], held: [] });
+    emit(req, "stock", { action: "clear", updatedAt: nowIso, totalLines: 0 });
+    emit(req, "newcollection", { batchId: null, createdAt: null, mode: null, count: 0 });
+    return res.json({ ok: true });
   } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+    return res.status(e.status || 500).json(i18n.errorBody(e));
   }
-});
+}));
 
 /* =========================
-   New Collection APIs
+   Snapshot APIs
 ========================= */
-app.get("/api/newcollection/latest", (req, res) => res.json(loadNewCollection()));
+app.get("/api/stock/snapshots", (req, res) => res.json(loadSnapshotIndex()));
 
-app.post("/api/newcollection/execute", (req, res) => {
+app.get("/api/stock/snapshots/compare", (req, res) => {
   try {
-    const lineId = String(req.body?.lineId || "").trim();
-    if (!lineId) return res.status(400).json({ error: "Missing lineId" });
+    const a = loadSnapshot(String(req.query.from || "").trim());
+    const b = loadSnapshot(String(req.query.to || "").trim());
+    if (!a || !b) return res.status(404).json({ code: "SNAPSHOT_NOT_FOUND" });
+    return res.json({ from: a.snapshotId, to: b.snapshotId, ...diffStock(a.items || {}, b.items || {}) });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
 
+app.get("/api/stock/snapshots/:snapshotId", (req, res) => {
+  const snap = loadSnapshot(req.params.snapshotId);
+  if (!snap) return res.status(404).json({ code: "SNAPSHOT_NOT_FOUND" });
+  const { items, ...rest } = snap;
+  return res.json(rest);
+});
+
+// Roll the master back to an earlier snapshot (Admin). Floor quantities are kept.
+app.post("/api/stock/rollback", tx((req, res) => {
+  try {
+    const snapshotId = String(req.body?.snapshotId || "").trim();
+    const snap = loadSnapshot(snapshotId);
+    if (!snap) return res.status(404).json({ code: "SNAPSHOT_NOT_FOUND" });
+
+    const oldItems = loadStockMaster().items || {};
+    const nowIso = new Date().toISOString();
+    const items = {};
+    for (const [key, x] of Object.entries(snap.items || {})) {
+      items[key] = { ...x, floorQty: locQty(oldItems[key], "floor") };
+    }
+
+    const master = { updatedAt: nowIso, updatedBy: actor(req), sourceFileName: snap.sourceFileName, items };
+    saveStockMaster(master);
+
+    appendLedger(replaceMovements(oldItems, items,
+      { at: nowIso, source: "rollback", sourceId: snapshotId, ...i18n.coded("reason", "LEDGER_ROLLBACK", { snapshotId }), by: actor(req) }));
+
+    const next = saveSnapshot(master, oldItems, "Rollback to " + snapshotId);
+    emit(req, "stock", { action: "rollback", updatedAt: nowIso, totalLines: Object.keys(items).length });
+    return res.json({ ok: true, updatedAt: nowIso, totalLines: Object.keys(items).length, snapshotId: next.meta.snapshotId, diff: { summary: next.diff.summary } });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+/* =========================
+   Import Profile APIs
+========================= */
+app.get("/api/import/profiles", (req, res) => {
+  const profiles = loadProfiles();
+  return res.json({
+    defaultProfile: DEFAULT_PROFILE,
+    profiles: Object.values(profiles).map(p => ({ ...p, builtin: !!BUILTIN_PROFILES[p.name] }))
+  });
+});
+
+app.post("/api/import/profiles", tx((req, res) => {
+  try {
+    const b = req.body || {};
+    const profile = {
+      name: String(b.name || "").trim(),
+      layout: String(b.layout || "").trim(),
+      sheet: b.sheet === undefined || b.sheet === "" ? 1 : (/^\d+$/.test(String(b.sheet)) ? Number(b.sheet) : String(b.sheet)),
+      headerRow: Number(b.headerRow) || 0,
+      columns: {},
+      encoding: String(b.encoding || "auto").trim(),
+      delimiter: String(b.delimiter || ",")
+    };
+    for (const c of ["text", "sku", "size", "color", "category", "qty"]) {
+      const v = String(b.columns?.[c] || "").trim();
+      if (v) profile.columns[c] = v;
+    }
+    if (BUILTIN_PROFILES[profile.name]) return res.status(400).json({ code: "PROFILE_BUILTIN_CHANGE" });
+    const err = validateProfile(profile);
+    if (err) return res.status(400).json(err);
+    if (profile.encoding !== "auto") {
+      try { new TextDecoder(profile.encoding); } catch { return res.status(400).json({ code: "UNKNOWN_ENCODING", params: { encoding: profile.encoding } }); }
+    }
+
+    const profiles = loadProfiles();
+    profiles[profile.name] = profile;
+    saveProfiles(profiles);
+    return res.json({ ok: true, profile });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+app.delete("/api/import/profiles/:name", tx((req, res) => {
+  try {
+    const name = String(req.params.name);
+    if (BUILTIN_PROFILES[name]) return res.status(400).json({ code: "PROFILE_BUILTIN_DELETE" });
+    const profiles = loadProfiles();
+    if (!profiles[name]) return res.status(404).json({ code: "PROFILE_NOT_FOUND" });
+    delete profiles[name];
+    saveProfiles(profiles);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+/* =========================
+   Inbox (watched folder, see inbox.js)
+   - stock rule: same import as /api/stock/update
+   - sales rule: same run as /api/replan/generate, with the rule's category/mode/profile
+   - imports run as user "inbox", each in its own transaction
+========================= */
+const INBOX_USER = "inbox";
+
+// Imports that run outside a request (inbox, Odoo sync): one transaction, live events after the
+// commit, a rejected input ({ status, error: { code, params } }) thrown. Returns the short summary the logs keep.
+function importAs(username, type, fn) {
+  const ctx = { user: { username }, events: [] };
+  const result = storage.transaction(() => {
+    const r = fn(ctx);
+    if (r.error) throw i18n.codedError(r.error.code, r.error.params, r.status);
+    return r;
+  });
+  for (const [t, data] of ctx.events) broadcast(t, data);
+  return type === "stock"
+    ? { totalLines: result.totalLines, newCollectionCount: result.newCollectionCount, snapshotId: result.snapshotId }
+    : { runId: result.runId, categoryFilter: result.categoryFilter, linesCount: result.linesCount };
+}
+
+function inboxImport(type, rule, filePath, fileName) {
+  return importAs(INBOX_USER, type, (ctx) => type === "stock"
+    ? applyStockFile(ctx, filePath, fileName, rule.profile)
+    : generateRun(ctx, { file: { path: filePath, name: fileName }, profile: rule.profile, category: rule.category, mode: rule.mode || "minmax" }));
+}
+
+const inbox = createInbox({
+  storage,
+  configFile: INBOX_CONFIG_FILE,
+  logFile: INBOX_LOG_FILE,
+  baseDir: __dirname,
+  importers: {
+    stock: (rule, filePath, fileName) => inboxImport("stock", rule, filePath, fileName),
+    sales: (rule, filePath, fileName) => inboxImport("sales", rule, filePath, fileName)
+  },
+  onError: (e) => console.error("Inbox:", e.message || e)
+});
+
+app.get("/api/inbox", (req, res) => res.json(inbox.status()));
+
+app.post("/api/inbox/config", (req, res) => {
+  try {
+    const profiles = loadProfiles();
+    for (const r of req.body?.rules || []) {
+      if (r.profile && !profiles[String(r.profile).trim()]) return res.status(400).json({ code: "UNKNOWN_PROFILE", params: { profile: r.profile } });
+      if (r.mode && !REPLAN_MODES.includes(String(r.mode).trim())) return res.status(400).json({ code: "MODE_ONE_OF", params: { modes: REPLAN_MODES.join(", ") } });
+    }
+    inbox.saveConfig(req.body);
+    return res.json({ ok: true, ...inbox.status() });
+  } catch (e) {
+    return res.status(400).json(i18n.errorBody(e));
+  }
+});
+
+// Not wrapped in tx(): every file is imported in its own transaction
+app.post("/api/inbox/scan", (req, res) => {
+  try {
+    return res.json({ results: inbox.scan({ force: true }) });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
+
+app.get("/api/inbox/log", (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const ok = req.query.ok === "1" ? true : req.query.ok === "0" ? false : undefined;
+  return res.json({ entries: inbox.readLog({ limit, ok }) });
+});
+
+/* =========================
+   Odoo sync (see odoo.js)
+   - stock: replaces the stock master like an upload of the stock.quant pivot
+   - sales: creates a run like /api/replan/generate; category/mode default to the config
+   - scheduled syncs run as user "odoo", on-demand ones as the signed-in user
+========================= */
+const odoo = createOdoo({
+  storage,
+  configFile: ODOO_CONFIG_FILE,
+  logFile: ODOO_LOG_FILE,
+  parseText: parseTextLine,
+  parseRows: (rows) => parseColumnRows(rows),
+  apply: (kind, lines, meta, by) => importAs(by, kind, (ctx) => kind === "stock"
+    ? applyStockLines(ctx, lines, meta.sourceName)
+    : generateRun(ctx, { lines, sourceName: meta.sourceName, category: meta.category, mode: meta.mode, salesDate: meta.to, salesDays: meta.days })),
+  onError: (e) => console.error("Odoo:", e.message || e)
+});
+
+app.get("/api/odoo", (req, res) => res.json(odoo.status()));
+
+app.post("/api/odoo/config", (req, res) => {
+  try {
+    if (req.body?.mode && !REPLAN_MODES.includes(String(req.body.mode).trim())) return res.status(400).json({ code: "MODE_ONE_OF", params: { modes: REPLAN_MODES.join(", ") } });
+    return res.json({ ok: true, config: odoo.saveConfig(req.body) });
+  } catch (e) {
+    return res.status(400).json(i18n.errorBody(e));
+  }
+});
+
+app.post("/api/odoo/test", async (req, res) => {
+  try {
+    return res.json({ ok: true, ...await odoo.test() });
+  } catch (e) {
+    return res.status(e.status || 502).json(i18n.errorBody(e));
+  }
+});
+
+// Not wrapped in tx(): the fetch is async; the import itself is one transaction inside odoo.sync()
+app.post("/api/odoo/sync/:kind", async (req, res) => {
+  try {
+    const b = req.body || {};
+    if (b.mode && !REPLAN_MODES.includes(String(b.mode).trim())) return res.status(400).json({ code: "MODE_ONE_OF", params: { modes: REPLAN_MODES.join(", ") } });
+    const entry = await odoo.sync(req.params.kind, {
+      from: b.from ? String(b.from) : undefined,
+      to: b.to ? String(b.to) : undefined,
+      category: b.category === undefined ? undefined : String(b.category).trim(),
+      mode: b.mode ? String(b.mode).trim() : undefined,
+      by: actor(req)
+    });
+    if (!entry.ok) return res.status(entry.errorStatus || 502).json(entry.errorCode ? { code: entry.errorCode, params: entry.errorParams, entry } : { error: entry.error, entry });
+    return res.json({ ok: true, entry });
+  } catch (e) {
+    return res.status(400).json(i18n.errorBody(e));
+  }
+});
+
+app.get("/api/odoo/log", (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  return res.json({ entries: odoo.readLog({ limit, kind: String(req.query.kind || "").trim() || undefined }) });
+});
+
+/* =========================
+   Stock Search (Backroom or Floor > 0)
+   - text is normalized (case, Arabic alef/hamza forms, ة/ه, ى/ي, diacritics, Arabic digits) and
+     split into tokens; every query token must appear in some token of the line
+     (SKU, size, color, category), so "كافيه 4" finds color "كافية" in size 4
+   - the token index is built once per stock master (upload / rollback / clear / Odoo sync);
+     quantities are read live, so executes show up without a rebuild
+   - filters: category (subtree), size and color (exact after normalizing, comma = any of),
+     minQty/maxQty on qtyIn = total | backroom | floor
+   - sort = qty | backroom | floor | sku | size | color | category, dir = asc | desc;
+     pages follow an opaque cursor (the last row's sort value + line key)
+========================= */
+const ARABIC_MARKS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g; // harakat, Quranic marks, tatweel
+
+function normText(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .replace(ARABIC_MARKS, "")
+    .replace(/[أإآٱ]/g, "ا")
+    .replace(/ة/g, "ه")
+    .replace(/ى/g, "ي")
+    .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+    .trim();
+}
+const textTokens = (s) => normText(s).split(/[\s/,،()]+/).filter(Boolean);
+const textList = (v) => String(v || "").split(/[,،]/).map(normText).filter(Boolean);
+
+const STOCK_SORTS = {
+  qty: x => locQty(x, "backroom") + locQty(x, "floor"),
+  backroom: x => locQty(x, "backroom"),
+  floor: x => locQty(x, "floor"),
+  sku: x => String(x.sku || ""),
+  size: x => String(x.size || ""),
+  color: x => String(x.color || ""),
+  category: x => String(x.category || "")
+};
+
+let stockIndex = { sig: null };
+
+// token -> Set(line key), plus the normalized size/color per line
+function stockSearchIndex(stockMaster) {
+  const items = stockMaster.items || {};
+  const sig = `${stockMaster.updatedAt}|${Object.keys(items).length}`;
+  if (stockIndex.sig === sig) return stockIndex;
+
+  const tokens = new Map();
+  const fields = new Map();
+  for (const [key, x] of Object.entries(items)) {
+    for (const t of new Set([x.sku, x.size, x.color, x.category].flatMap(textTokens))) {
+      if (!tokens.has(t)) tokens.set(t, new Set());
+      tokens.get(t).add(key);
+    }
+    fields.set(key, { size: normText(x.size), color: normText(x.color) });
+  }
+  stockIndex = { sig, tokens, fields };
+  return stockIndex;
+}
+
+// Keys matching every query token; null when there is no text query
+function matchTokens(index, q) {
+  let keys = null;
+  for (const qt of new Set(textTokens(q))) {
+    const hit = new Set();
+    for (const [t, set] of index.tokens) if (t.includes(qt)) for (const k of set) hit.add(k);
+    keys = keys ? new Set(Array.from(keys).filter(k => hit.has(k))) : hit;
+    if (keys.size === 0) break;
+  }
+  return keys;
+}
+
+const encodeCursor = (v) => Buffer.from(JSON.stringify(v)).toString("base64url");
+function decodeCursor(c) {
+  try {
+    const v = JSON.parse(Buffer.from(String(c), "base64url").toString());
+    return Array.isArray(v) && v.length === 2 ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+// Throws { status: 400 } on bad filters; items come back filtered and sorted, each with its lineId
+function searchStock(query) {
+  const category = normCategory(query.category);
+  const sizes = textList(query.size);
+  const colors = textList(query.color);
+  const qtyIn = String(query.qtyIn || "total");
+  const sortBy = String(query.sort || "qty");
+  const num = (v) => (v === undefined || v === "" ? null : Number(v));
+  const minQty = num(query.minQty), maxQty = num(query.maxQty);
+
+  const bad = (code, params) => i18n.codedError(code, params, 400);
+  if (!["total", "backroom", "floor"].includes(qtyIn)) throw bad("QTY_IN");
+  if (!STOCK_SORTS[sortBy]) throw bad("SORT_ONE_OF", { sorts: Object.keys(STOCK_SORTS).join(", ") });
+  if (Number.isNaN(minQty) || Number.isNaN(maxQty)) throw bad("MIN_MAX_QTY_NUMBERS");
+  const numeric = ["qty", "backroom", "floor"].includes(sortBy);
+  const dir = String(query.dir || (numeric ? "desc" : "asc")) === "asc" ? 1 : -1;
+
+  const stockMaster = loadStockMaster();
+  const itemsObj = stockMaster.items || {};
+  const index = stockSearchIndex(stockMaster);
+  const textKeys = matchTokens(index, query.q);
+  const qtyOf = qtyIn === "total" ? STOCK_SORTS.qty : STOCK_SORTS[qtyIn];
+
+  const items = [];
+  for (const key of textKeys || Object.keys(itemsObj)) {
+    const x = itemsObj[key];
+    if (!x) continue;
+    if (locQty(x, "backroom") <= 0 && locQty(x, "floor") <= 0) continue; // hide zero
+    if (category && !inCategory(x.category, category)) continue;
+    const f = index.fields.get(key) || { size: normText(x.size), color: normText(x.color) };
+    if (sizes.length && !sizes.includes(f.size)) continue;
+    if (colors.length && !colors.includes(f.color)) continue;
+    const qty = qtyOf(x);
+    if (minQty !== null && qty < minQty) continue;
+    if (maxQty !== null && qty > maxQty) continue;
+    items.push({ lineId: key, ...x });
+  }
+
+  const value = STOCK_SORTS[sortBy];
+  const cmpValue = numeric ? (a, b) => a - b : (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+  const cmp = ([va, ka], [vb, kb]) => dir * cmpValue(va, vb) || (ka < kb ? -1 : ka > kb ? 1 : 0);
+  const sortKey = (x) => [value(x), x.lineId];
+  items.sort((a, b) => cmp(sortKey(a), sortKey(b)));
+
+  return { updatedAt: stockMaster.updatedAt, items, sortKey, cmp };
+}
+
+app.get("/api/stock/search", (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 2000);
+    const { updatedAt, items, sortKey, cmp } = searchStock(req.query);
+
+    let start = 0;
+    if (req.query.cursor) {
+      const after = decodeCursor(req.query.cursor);
+      if (!after) return res.status(400).json({ code: "INVALID_CURSOR" });
+      start = items.findIndex(x => cmp(sortKey(x), after) > 0);
+      if (start < 0) start = items.length;
+    }
+    const page = items.slice(start, start + limit);
+    const more = start + limit < items.length;
+    return res.json({
+      updatedAt,
+      count: items.length,
+      items: page,
+      nextCursor: more && page.length ? encodeCursor(sortKey(page[page.length - 1])) : null
+    });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
+
+/* =========================
+   Category tree (from the stock master)
+   - one node per path prefix; lines/pieces/backroom/floor count the node and everything under it
+   - lines = stock lines with Backroom or Floor > 0 (same as the stock search)
+========================= */
+function categoryTree(items) {
+  const root = { children: new Map() };
+  for (const x of items) {
+    const backroom = locQty(x, "backroom"), floor = locQty(x, "floor");
+    let node = root;
+    for (const prefix of categoryPrefixes(x.category)) {
+      if (!node.children.has(prefix)) {
+        node.children.set(prefix, { name: prefix.split(CAT_SEP).pop(), path: prefix, lines: 0, pieces: 0, backroom: 0, floor: 0, children: new Map() });
+      }
+      node = node.children.get(prefix);
+      if (backroom > 0 || floor > 0) node.lines++;
+      node.pieces += backroom + floor;
+      node.backroom += backroom;
+      node.floor += floor;
+    }
+  }
+  const toJson = ({ children, ...node }) => ({
+    ...node,
+    children: Array.from(children.values()).sort((a, b) => a.name.localeCompare(b.name)).map(toJson)
+  });
+  return toJson(root).children;
+}
+
+app.get("/api/categories", (req, res) => {
+  try {
+    const stockMaster = loadStockMaster();
+    return res.json({ updatedAt: stockMaster.updatedAt || null, tree: categoryTree(Object.values(stockMaster.items || {})) });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
+
+/* =========================
+   Ledger APIs
+========================= */
+app.get("/api/ledger", (req, res) => {
+  try {
+    const sku = String(req.query.sku || "").trim();
+    const from = req.query.from ? new Date(String(req.query.from)).getTime() : null;
+    const to = req.query.to ? new Date(String(req.query.to)).getTime() : null;
+    if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ code: "FROM_TO_DATES" });
+    const limit = Math.min(Math.max(Number(req.query.limit) || 500, 1), 5000);
+
+    let entries = loadLedger();
+    if (sku) entries = entries.filter(e => String(e.sku) === sku);
+    if (from !== null) entries = entries.filter(e => new Date(e.at).getTime() >= from);
+    // Date-only "to" is inclusive of the whole day
+    if (to !== null) {
+      const toEnd = /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.to)) ? to + 24 * 3600 * 1000 - 1 : to;
+      entries = entries.filter(e => new Date(e.at).getTime() <= toEnd);
+    }
+
+    entries.reverse(); // newest first
+    return res.json({ count: entries.length, entries: entries.slice(0, limit) });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
+
+/* =========================
+   Limits APIs
+========================= */
+app.get("/api/limits/get", (req, res) => res.json(loadLimits()));
+
+app.post("/api/limits/setDefault", tx((req, res) => {
+  try {
+    const defaultMin = Number(req.body?.defaultMin);
+    const defaultMax = Number(req.body?.defaultMax);
+    if (!Number.isFinite(defaultMin) || !Number.isFinite(defaultMax)) return res.status(400).json({ code: "DEFAULT_MIN_MAX_NUMBERS" });
+
+    const lim = loadLimits();
+    lim.defaultMin = Math.max(0, Math.floor(defaultMin));
+    lim.defaultMax = Math.max(0, Math.floor(defaultMax));
+    saveLimits(lim);
+    return res.json({ ok: true, defaultMin: lim.defaultMin, defaultMax: lim.defaultMax });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+app.post("/api/limits/set", tx((req, res) => {
+  try {
+    const sku = String(req.body?.sku || "").trim();
+    const size = String(req.body?.size || "").trim(); // optional: SKU+size rule
+    const min = Number(req.body?.min);
+    const max = Number(req.body?.max);
+    if (!sku) return res.status(400).json({ code: "MISSING_SKU" });
+    if (!Number.isFinite(min) || !Number.isFinite(max)) return res.status(400).json({ code: "MIN_MAX_NUMBERS" });
+
+    const lim = loadLimits();
+    const limits = { min: Math.max(0, Math.floor(min)), max: Math.max(0, Math.floor(max)) };
+    if (size) lim.skuSizes[`${sku}||${size}`] = limits;
+    else lim.skus[sku] = limits;
+    saveLimits(lim);
+    return res.json({ ok: true, sku, size: size || null, limits });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+app.post("/api/limits/setCategory", tx((req, res) => {
+  try {
+    const category = normCategory(req.body?.category);
+    const min = Number(req.body?.min);
+    const max = Number(req.body?.max);
+    if (!category) return res.status(400).json({ code: "MISSING_CATEGORY" });
+    if (!Number.isFinite(min) || !Number.isFinite(max)) return res.status(400).json({ code: "MIN_MAX_NUMBERS" });
+
+    const lim = loadLimits();
+    lim.categories[category] = { min: Math.max(0, Math.floor(min)), max: Math.max(0, Math.floor(max)) };
+    saveLimits(lim);
+    return res.json({ ok: true, category, limits: lim.categories[category] });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+// Remove one rule so the line falls back to the next one up
+app.post("/api/limits/delete", tx((req, res) => {
+  try {
+    const type = String(req.body?.type || "").trim();
+    const key = type === "category" ? normCategory(req.body?.key) : String(req.body?.key || "").trim();
+    const bucket = { "sku+size": "skuSizes", sku: "skus", category: "categories" }[type];
+    if (!bucket) return res.status(400).json({ code: "LIMIT_TYPE" });
+
+    const lim = loadLimits();
+    if (!lim[bucket][key]) return res.status(404).json({ code: "RULE_NOT_FOUND" });
+    delete lim[bucket][key];
+    saveLimits(lim);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+// Which rule decides Min/Max for a line (lineId, or sku + size + category)
+app.get("/api/limits/explain", (req, res) => {
+  try {
+    const lineId = String(req.query.lineId || "").trim();
+    let line = {
+      sku: String(req.query.sku || "").trim(),
+      size: String(req.query.size || "").trim(),
+      color: String(req.query.color || "").trim(),
+      category: String(req.query.category || "").trim()
+    };
+    const st = loadStockMaster().items?.[lineId || makeKey(line.sku, line.size, line.color)];
+    if (lineId && !st) return res.status(404).json({ code: "LINE_NOT_IN_STOCK" });
+    if (st) line = { sku: st.sku, size: st.size, color: st.color, category: line.category || st.category };
+    if (!line.sku) return res.status(400).json({ code: "MISSING_LINE_OR_SKU" });
+
+    const candidates = limitCandidates(loadLimits(), line);
+    return res.json({ line, min: candidates[0].min, max: candidates[0].max, decidedBy: candidates[0], candidates });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
+
+// Category tree (from stock + rules) with own rule, effective limits and SKU rules per node
+app.get("/api/limits/tree", (req, res) => {
+  try {
+    const lim = loadLimits();
+    const items = Object.values(loadStockMaster().items || {});
+
+    const root = { name: "", path: "", children: new Map(), skuRules: [] };
+    const nodeFor = (category) => {
+      let node = root;
+      for (const prefix of categoryPrefixes(category)) {
+        if (!node.children.has(prefix)) {
+          node.children.set(prefix, { name: prefix.split(CAT_SEP).pop(), path: prefix, children: new Map(), skuRules: [] });
+        }
+        node = node.children.get(prefix);
+      }
+      return node;
+    };
+    for (const x of items) nodeFor(x.category);
+    for (const c of Object.keys(lim.categories)) nodeFor(c);
+
+    // Hang SKU / SKU+size rules under the category the SKU is stocked in
+    const skuCategory = new Map();
+    for (const x of items) if (!skuCategory.has(String(x.sku))) skuCategory.set(String(x.sku), x.category);
+    const hang = (type, key, sku, size, rec) => {
+      const node = skuCategory.has(sku) ? nodeFor(skuCategory.get(sku)) : root;
+      node.skuRules.push({ type, key, sku, size, ...normLimit(rec) });
+    };
+    for (const [sku, rec] of Object.entries(lim.skus)) hang("sku", sku, sku, "", rec);
+    for (const [key, rec] of Object.entries(lim.skuSizes)) {
+      const [sku, size] = key.split("||");
+      hang("sku+size", key, sku, size, rec);
+    }
+
+    const toJson = (node) => ({
+      name: node.name,
+      path: node.path,
+      rule: lim.categories[node.path] ? normLimit(lim.categories[node.path]) : null,
+      effective: resolveLimits(lim, { sku: "", size: "", category: node.path }),
+      skuRules: node.skuRules.sort((a, b) => a.key.localeCompare(b.key)),
+      children: Array.from(node.children.values()).sort((a, b) => a.name.localeCompare(b.name)).map(toJson)
+    });
+
+    return res.json({
+      defaultMin: normLimit(null, lim.defaultMin, lim.defaultMax).min,
+      defaultMax: normLimit(null, lim.defaultMin, lim.defaultMax).max,
+      tree: toJson(root).children,
+      unplacedSkuRules: root.skuRules // rules for SKUs not in current stock
+    });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
+
+/* =========================
+   Limits Bulk Import / Export
+   - one sheet, header row: Type | Category | SKU | Size | Min | Max
+   - Type: default | category | sku | sku+size (inferred from the filled columns when blank)
+   - merge = upsert rows, replace = rows become the whole rule set
+========================= */
+const LIMIT_COLUMNS = ["Type", "Category", "SKU", "Size", "Min", "Max"];
+
+function limitsToRows(lim) {
+  const d = normLimit(null, lim.defaultMin, lim.defaultMax);
+  const rows = [LIMIT_COLUMNS, ["default", "", "", "", d.min, d.max]];
+  for (const [c, r] of Object.entries(lim.categories).sort()) rows.push(["category", c, "", "", normLimit(r).min, normLimit(r).max]);
+  for (const [sku, r] of Object.entries(lim.skus).sort()) rows.push(["sku", "", sku, "", normLimit(r).min, normLimit(r).max]);
+  for (const [key, r] of Object.entries(lim.skuSizes).sort()) {
+    const [sku, size] = key.split("||");
+    rows.push(["sku+size", "", sku, size, normLimit(r).min, normLimit(r).max]);
+  }
+  return rows;
+}
+
+// -> { rules: [{ type, key, min, max }], errors: [{ row, error }] }
+function rowsToLimitRules(table) {
+  const header = (table[0] || []).map(h => String(h ?? "").trim().toLowerCase());
+  const col = {};
+  for (const c of LIMIT_COLUMNS) col[c] = header.indexOf(c.toLowerCase());
+  if (col.Min < 0 || col.Max < 0) return { rules: [], errors: [{ row: 1, ...i18n.coded("error", "LIMITS_HEADER") }] };
+
+  const rules = [], errors = [];
+  table.slice(1).forEach((r, i) => {
+    const row = i + 2;
+    const get = (c) => (col[c] >= 0 ? String(r[col[c]] ?? "").trim() : "");
+    const category = normCategory(get("Category")), sku = get("SKU"), size = get("Size");
+    if (!category && !sku && !get("Type") && get("Min") === "" && get("Max") === "") return; // blank row
+
+    const type = get("Type").toLowerCase() || (sku && size ? "sku+size" : sku ? "sku" : category ? "category" : "");
+    const min = Number(get("Min")), max = Number(get("Max"));
+    const err = (code, params) => errors.push({ row, ...i18n.coded("error", code, params) });
+
+    if (!["default", "category", "sku", "sku+size"].includes(type)) return err("LIMITS_UNKNOWN_TYPE", { type: get("Type") });
+    if (get("Min") === "" || !Number.isFinite(min) || min < 0) return err("LIMITS_MIN");
+    if (get("Max") === "" || !Number.isFinite(max) || max < 0) return err("LIMITS_MAX");
+    if (min > max) return err("LIMITS_MIN_OVER_MAX");
+    if (type === "category" && !category) return err("LIMITS_MISSING_CATEGORY");
+    if ((type === "sku" || type === "sku+size") && !sku) return err("ROW_MISSING_SKU");
+    if (type === "sku+size" && !size) return err("LIMITS_MISSING_SIZE");
+
+    const key = type === "category" ? category : type === "sku" ? sku : type === "sku+size" ? `${sku}||${size}` : null;
+    rules.push({ row, type, key, min: Math.floor(min), max: Math.floor(max) });
+  });
+  return { rules, errors };
+}
+
+app.get("/api/limits/export", (req, res) => {
+  try {
+    const format = String(req.query.format || "xlsx").toLowerCase();
+    const ws = XLSX.utils.aoa_to_sheet(limitsToRows(loadLimits()));
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", 'attachment; filename="floor_limits.csv"');
+      return res.send("\ufeff" + XLSX.utils.sheet_to_csv(ws)); // BOM so Excel reads Arabic categories
+    }
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, "Limits");
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", 'attachment; filename="floor_limits.xlsx"');
+    return res.send(XLSX.write(wb, { type: "buffer", bookType: "xlsx" }));
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
+
+// Nothing is saved while any row has an error, unless skipInvalid=1
+app.post("/api/limits/import", upload.single("limits"), tx((req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ code: "NO_LIMITS_FILE" });
+    const mode = String(req.body?.mode || "merge").trim();
+    const skipInvalid = ["1", "true"].includes(String(req.body?.skipInvalid || ""));
+    if (mode !== "merge" && mode !== "replace") {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ code: "LIMITS_MODE" });
+    }
+
+    let table;
+    try {
+      table = readTableFromUploadedFile(req.file.path, req.file.originalname, { sheet: 1, encoding: "auto", delimiter: "," });
+    } finally {
+      fs.unlinkSync(req.file.path);
+    }
+    const { rules, errors } = rowsToLimitRules(table);
+    if (errors.length && !skipInvalid) return res.status(400).json({ ok: false, code: "LIMITS_INVALID_ROWS", params: { count: errors.length }, errors });
+
+    const lim = loadLimits();
+    if (mode === "replace") { lim.categories = {}; lim.skus = {}; lim.skuSizes = {}; }
+    const bucket = { category: "categories", sku: "skus", "sku+size": "skuSizes" };
+    let created = 0, updated = 0;
+    for (const r of rules) {
+      if (r.type === "default") { lim.defaultMin = r.min; lim.defaultMax = r.max; updated++; continue; }
+      if (lim[bucket[r.type]][r.key]) updated++; else created++;
+      lim[bucket[r.type]][r.key] = { min: r.min, max: r.max };
+    }
+    saveLimits(lim);
+
+    return res.json({ ok: true, mode, created, updated, skipped: errors.length, errors });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+/* =========================
+   Line execution (replan + New Collection)
+   - actualQty = pieces the picker really found; defaults to the full qty
+   - fewer than asked ends the line "Partial" (some found) or "NotFound" (none), reason required;
+     the backroom qty the system believed was there is kept for the shortfall report
+========================= */
+const EXECUTED_STATUSES = ["Done", "Partial", "NotFound"];
+
+// { actual, reason } from a request body, or { error: { code, params } }
+function readActualQty(body, need) {
+  const raw = body?.actualQty;
+  if (raw === undefined || raw === null || raw === "") return { actual: need, reason: "" };
+  const actual = Number(raw);
+  if (!Number.isInteger(actual) || actual < 0 || actual > need) return { error: { code: "ACTUAL_QTY_RANGE", params: { max: need } } };
+  const reason = String(body?.reason || "").trim();
+  if (actual < need && !reason) return { error: { code: "SHORT_REASON_REQUIRED" } };
+  return { actual, reason };
+}
+
+function pickLine(ledger, line, st, need, actual, reason, src) {
+  const systemQty = locQty(st, "backroom");
+  if (actual > 0) recordMove(ledger, line.lineId, st, actual, "backroom", "floor", src);
+  line.status = actual >= need ? "Done" : actual > 0 ? "Partial" : "NotFound";
+  line.executedAt = src.at;
+  line.executedBy = src.by || null;
+  line.actualQty = actual;
+  if (actual < need) {
+    line.shortQty = need - actual;
+    line.shortReason = reason;
+    line.systemQty = systemQty;
+  }
+}
+
+// Pieces a reversal has to put back (lines executed before actualQty existed moved the full qty)
+function pickedQty(line, need) {
+  return line.actualQty ?? need;
+}
+function unpickLine(line, at, by, reason) {
+  line.status = "Pending";
+  line.executedAt = null;
+  line.executedBy = null;
+  line.reversedAt = at;
+  line.reversedBy = by;
+  line.reverseReason = reason;
+  for (const k of ["scannedQty", "actualQty", "shortQty", "shortReason", "systemQty"]) delete line[k];
+}
+
+// Partial / NotFound lines: what the system said vs what was found
+function shortfallRows(lines, qtyField) {
+  return lines
+    .filter(l => l.status === "Partial" || l.status === "NotFound")
+    .map(l => ({
+      lineId: l.lineId, category: l.category, sku: l.sku, size: l.size, color: l.color,
+      qty: Number(l[qtyField]) || 0, actualQty: l.actualQty || 0, shortQty: l.shortQty || 0,
+      systemQty: l.systemQty ?? null, status: l.status, shortReason: l.shortReason || "",
+      executedAt: l.executedAt, executedBy: l.executedBy || null
+    }));
+}
+
+/* =========================
+   New Collection batches
+   - a stock update that brings new keys (after a clear: every key) opens a dated batch;
+     earlier batches stay listed and open until their lines are done
+   - opening qty per line: the most specific rule wins (deepest category, then the one with a
+     size; a size-only rule only beats the default), capped by the backroom; 0 = not displayed
+   - fullSizeRunOnly: a new SKU+color that lacks a size the SKU has in stock (in any color) is
+     held back; held lines are checked again on every update and join that update's batch once
+     the run is complete, or are released by hand
+   - batch picked by batchId everywhere; no batchId = the newest batch
+========================= */
+const NC_KEEP_BATCHES = 200; // completed batches beyond this are dropped, open ones never
+
+function openingQty(cfg, st) {
+  let best = null, bestRank = -1;
+  for (const r of cfg.rules) {
+    if (r.category && !inCategory(st.category, r.category)) continue;
+    if (r.size && normText(r.size) !== normText(st.size)) continue;
+    const rank = categoryDepth(r.category) * 2 + (r.size ? 1 : 0);
+    if (rank > bestRank) { best = r; bestRank = rank; }
+  }
+  return Math.min(best ? best.qty : cfg.defaultQty, locQty(st, "backroom"));
+}
+
+// Sizes of the SKU found in stock (any color) that this SKU+color has no pieces of
+function missingSizes(items, st) {
+  const have = new Set(), range = new Set();
+  for (const x of Object.values(items)) {
+    if (String(x.sku) !== String(st.sku)) continue;
+    range.add(x.size);
+    if (x.color === st.color && locQty(x, "backroom") + locQty(x, "floor") > 0) have.add(x.size);
+  }
+  return Array.from(range).filter(size => !have.has(size)).sort(compareSizes);
+}
+
+function newCollectionLine(key, st, qty) {
+  return { lineId: key, category: st.category, sku: st.sku, size: st.size, color: st.color, qty, status: "Pending", executedAt: null };
+}
+
+function batchStatus(b) {
+  return b.items.some(l => l.status === "Pending") ? "Open" : "Completed";
+}
+
+function addBatch(nc, batch) {
+  nc.batches.unshift(batch);
+  let completed = 0;
+  nc.batches = nc.batches.filter(b => batchStatus(b) === "Open" || ++completed <= NC_KEEP_BATCHES);
+}
+
+// New keys + held lines -> a new batch on nc (null when nothing opens); nc.held is replaced
+function fillNewCollection(nc, items, newKeys, meta) {
+  const cfg = loadNewCollectionRules();
+  const since = new Map(nc.held.map(h => [h.lineId, h.since]));
+  const candidates = new Set([...newKeys, ...nc.held.map(h => h.lineId).filter(k => items[k])]);
+
+  const lines = [], held = [];
+  for (const key of candidates) {
+    const st = items[key];
+    const qty = openingQty(cfg, st);
+    if (qty < 1) continue;
+    const missing = cfg.fullSizeRunOnly ? missingSizes(items, st) : [];
+    if (missing.length) {
+      held.push({ lineId: key, category: st.category, sku: st.sku, size: st.size, color: st.color, missing, since: since.get(key) || meta.createdAt });
+      continue;
+    }
+    lines.push(newCollectionLine(key, st, qty));
+  }
+  nc.held = held;
+  if (!lines.length) return null;
+
+  const batch = { batchId: newId("NC"), ...meta, items: lines };
+  addBatch(nc, batch);
+  return batch;
+}
+
+function findBatch(nc, batchId) {
+  const id = String(batchId || "").trim();
+  return id ? nc.batches.find(b => b.batchId === id) || null : nc.batches[0] || null;
+}
+
+function batchSummary(b) {
+  const count = (st) => b.items.filter(l => l.status === st).length;
+  return {
+    batchId: b.batchId,
+    createdAt: b.createdAt,
+    createdBy: b.createdBy || null,
+    mode: b.mode,
+    sourceFileName: b.sourceFileName || null,
+    status: batchStatus(b),
+    lines: b.items.length,
+    pending: count("Pending"),
+    done: count("Done"),
+    partial: count("Partial"),
+    notFound: count("NotFound"),
+    qty: b.items.reduce((s, l) => s + (Number(l.qty) || 0), 0)
+  };
+}
+
+/* =========================
+   New Collection APIs
+========================= */
+const EMPTY_BATCH = { batchId: null, createdAt: null, mode: null, items: [] };
+
+app.get("/api/newcollection/latest", (req, res) => res.json(findBatch(loadNewCollection()) || EMPTY_BATCH));
+
+// ?status=Open|Completed, paged like the runs list
+app.get("/api/newcollection/batches", (req, res) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 20, 1), 200);
+  const status = String(req.query.status || "").trim();
+  const nc = loadNewCollection();
+  let batches = nc.batches.map(batchSummary);
+  if (status) batches = batches.filter(b => b.status === status);
+  return res.json({ page, pageSize, total: batches.length, held: nc.held.length, batches: batches.slice((page - 1) * pageSize, page * pageSize) });
+});
+
+app.get("/api/newcollection/batches/:batchId", (req, res) => {
+  const batch = findBatch(loadNewCollection(), req.params.batchId);
+  if (!batch) return res.status(404).json({ code: "BATCH_NOT_FOUND" });
+  return res.json({ ...batch, summary: batchSummary(batch) });
+});
+
+app.get("/api/newcollection/held", (req, res) => res.json({ held: loadNewCollection().held }));
+
+// Open held lines now, size run complete or not: { lineIds } or all of them
+app.post("/api/newcollection/release", tx((req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.lineIds) ? req.body.lineIds.map(String) : null;
     const nc = loadNewCollection();
-    const line = nc.items.find(x => x.lineId === lineId);
-    if (!line) return res.status(404).json({ error: "Line not found" });
-    if (line.status === "Done") return res.json({ ok: true, line, message: "Already executed" });
+    const items = loadStockMaster().items || {};
+    const cfg = loadNewCollectionRules();
+    const release = nc.held.filter(h => !ids || ids.includes(h.lineId));
+    if (!release.length) return res.status(400).json({ code: "NO_HELD_LINES" });
+
+    const lines = release.filter(h => items[h.lineId])
+      .map(h => newCollectionLine(h.lineId, items[h.lineId], openingQty(cfg, items[h.lineId])))
+      .filter(l => l.qty >= 1);
+    nc.held = nc.held.filter(h => !release.includes(h));
+    let batch = null;
+    if (lines.length) {
+      const createdAt = new Date().toISOString();
+      batch = { batchId: newId("NC"), createdAt, createdBy: actor(req), mode: "RELEASE", sourceFileName: null, items: lines };
+      addBatch(nc, batch);
+    }
+    saveNewCollection(nc);
+    if (batch) emit(req, "newcollection", { batchId: batch.batchId, createdAt: batch.createdAt, mode: batch.mode, count: lines.length });
+    return res.json({ ok: true, released: release.length, batch: batch ? batchSummary(batch) : null, held: nc.held.length });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+app.get("/api/newcollection/rules", (req, res) => res.json(loadNewCollectionRules()));
+
+// { defaultQty, fullSizeRunOnly, rules: [{ category, size, qty }] } replaces the saved rules
+app.post("/api/newcollection/rules", tx((req, res) => {
+  try {
+    const b = req.body || {};
+    const qtyOf = (v) => Number(v);
+    const okQty = (n) => Number.isInteger(n) && n >= 0 && n <= 100;
+    const cfg = { defaultQty: qtyOf(b.defaultQty ?? 1), fullSizeRunOnly: !!b.fullSizeRunOnly, rules: [] };
+    if (!okQty(cfg.defaultQty)) return res.status(400).json({ code: "NC_DEFAULT_QTY" });
+    for (const r of Array.isArray(b.rules) ? b.rules : []) {
+      const rule = { category: normCategory(r.category), size: String(r.size || "").trim(), qty: qtyOf(r.qty) };
+      if (!rule.category && !rule.size) return res.status(400).json({ code: "NC_RULE_TARGET" });
+      if (!okQty(rule.qty)) return res.status(400).json({ code: "NC_RULE_QTY", params: { rule: rule.category || rule.size } });
+      if (cfg.rules.some(x => x.category === rule.category && normText(x.size) === normText(rule.size))) {
+        return res.status(400).json({ code: "NC_RULE_DUPLICATE", params: { rule: [rule.category, rule.size].filter(Boolean).join(" + ") } });
+      }
+      cfg.rules.push(rule);
+    }
+    saveNewCollectionRules(cfg);
+    return res.json({ ok: true, ...cfg });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+app.post("/api/newcollection/execute", tx(idempotent((req, res) => {
+  try {
+    const lineId = String(req.body?.lineId || "").trim();
+    if (!lineId) return res.status(400).json({ code: "MISSING_LINE_ID" });
+
+    const nc = loadNewCollection();
+    const batch = findBatch(nc, req.body?.batchId);
+    if (!batch) return res.status(404).json({ code: "BATCH_NOT_FOUND" });
+    const line = batch.items.find(x => x.lineId === lineId);
+    if (!line) return res.status(404).json({ code: "LINE_NOT_FOUND" });
+    if (EXECUTED_STATUSES.includes(line.status)) return res.json({ ok: true, line, alreadyDone: true, ...i18n.coded("message", "ALREADY_EXECUTED") });
+
+    const need = Number(line.qty) || 0; // 1
+    const pick = readActualQty(req.body, need);
+    if (pick.error) return res.status(400).json(pick.error);
 
     const stock = loadStockMaster();
     const st = stock.items?.[lineId];
-    if (!st) return res.status(400).json({ error: "Item not found in stock" });
+    if (!st && pick.actual > 0) return res.status(400).json({ code: "ITEM_NOT_IN_STOCK" });
+    const have = Number(st?.qty) || 0;
+    if (have < pick.actual) return res.status(400).json({ code: "INSUFFICIENT_STOCK", params: { have, need: pick.actual }, conflict: "insufficient_stock" });
 
-    const need = Number(line.qty) || 0; // 1
-    const have = Number(st.qty) || 0;
-    if (have < need) return res.status(400).json({ error: `Insufficient stock. Have ${have}, need ${need}` });
-
-    st.qty = have - need;
-    line.status = "Done";
-    line.executedAt = new Date().toISOString();
+    const now = new Date().toISOString();
+    const ledger = [];
+    pickLine(ledger, line, st, need, pick.actual, pick.reason,
+      { at: now, source: "newcollection", sourceId: batch.batchId, ...i18n.coded("reason", "LEDGER_NC_EXECUTE"), by: actor(req) });
 
     saveStockMaster(stock);
     saveNewCollection(nc);
+    appendLedger(ledger);
 
-    return res.json({ ok: true, line, newStockQty: st.qty });
+    emit(req, "line", { target: "newcollection", batchId: batch.batchId, lines: [line], action: "execute" });
+    return res.json({ ok: true, line, newStockQty: st?.qty ?? 0, newFloorQty: st?.floorQty ?? 0 });
   } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+    return res.status(e.status || 500).json(i18n.errorBody(e));
   }
-});
+})));
 
-app.post("/api/newcollection/executeAll", (req, res) => {
+app.post("/api/newcollection/executeAll", tx(idempotent((req, res) => {
   try {
     const nc = loadNewCollection();
+    const batch = findBatch(nc, req.body?.batchId);
+    if (!batch) return res.status(404).json({ code: "BATCH_NOT_FOUND" });
     const stock = loadStockMaster();
 
     let executed = 0, failed = 0;
     const failures = [];
     const now = new Date().toISOString();
+    const ledger = [];
+    const src = { at: now, source: "newcollection", sourceId: batch.batchId, ...i18n.coded("reason", "LEDGER_NC_EXECUTE_ALL"), by: actor(req) };
 
-    for (const line of nc.items) {
-      if (line.status === "Done") continue;
+    for (const line of batch.items) {
+      if (line.status !== "Pending") continue;
 
       const st = stock.items?.[line.lineId];
       const need = Number(line.qty) || 0;
       const have = Number(st?.qty) || 0;
 
-      if (!st || need <= 0) { failed++; failures.push({ lineId: line.lineId, reason: "Missing stock / qty<=0" }); continue; }
-      if (have < need) { failed++; failures.push({ lineId: line.lineId, reason: `Insufficient have ${have}, need ${need}` }); continue; }
+      if (!st || need <= 0) { failed++; failures.push({ lineId: line.lineId, ...i18n.coded("reason", "MISSING_STOCK_QTY") }); continue; }
+      if (have < need) { failed++; failures.push({ lineId: line.lineId, ...i18n.coded("reason", "INSUFFICIENT", { have, need }) }); continue; }
 
-      st.qty = have - need;
-      line.status = "Done";
-      line.executedAt = now;
+      pickLine(ledger, line, st, need, need, "", src);
       executed++;
     }
 
     saveStockMaster(stock);
     saveNewCollection(nc);
+    appendLedger(ledger);
 
-    return res.json({ ok: true, executed, failed, failures, items: nc.items });
+    emit(req, "line", { target: "newcollection", batchId: batch.batchId, lines: batch.items.filter(l => l.executedAt === now), action: "execute" });
+    return res.json({ ok: true, batchId: batch.batchId, executed, failed, failures, items: batch.items });
   } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+    return res.status(e.status || 500).json(i18n.errorBody(e));
   }
-});
+})));
+
+// Reverse a mistakenly executed line (Admin)
+app.post("/api/newcollection/reverse", tx((req, res) => {
+  try {
+    const lineId = String(req.body?.lineId || "").trim();
+    const reason = String(req.body?.reason || "").trim();
+    if (!lineId) return res.status(400).json({ code: "MISSING_LINE_ID" });
+
+    const nc = loadNewCollection();
+    const batch = findBatch(nc, req.body?.batchId);
+    if (!batch) return res.status(404).json({ code: "BATCH_NOT_FOUND" });
+    const line = batch.items.find(x => x.lineId === lineId);
+    if (!line) return res.status(404).json({ code: "LINE_NOT_FOUND" });
+    if (!EXECUTED_STATUSES.includes(line.status)) return res.status(400).json({ code: "LINE_NOT_EXECUTED" });
+
+    const qty = pickedQty(line, Number(line.qty) || 0);
+    const stock = loadStockMaster();
+    const st = stock.items?.[lineId];
+    if (!st && qty > 0) return res.status(400).json({ code: "ITEM_NOT_IN_STOCK" });
+
+    const now = new Date().toISOString();
+    const ledger = [];
+    if (qty > 0) {
+      reverseMove(ledger, lineId, st, qty,
+        { at: now, source: "reversal", sourceId: batch.batchId, ...i18n.coded("reason", "LEDGER_NC_REVERSAL"), note: reason, by: actor(req) });
+    }
+    unpickLine(line, now, actor(req), reason);
+
+    saveStockMaster(stock);
+    saveNewCollection(nc);
+    appendLedger(ledger);
+
+    emit(req, "line", { target: "newcollection", batchId: batch.batchId, lines: [line], action: "reverse" });
+    return res.json({ ok: true, line, newStockQty: st?.qty ?? 0, newFloorQty: st?.floorQty ?? 0 });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
 
 /* =========================
    Replan Generate + Execute
 ========================= */
-app.post("/api/replan/generate", upload.single("sales"), (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: "No sales file uploaded" });
+// Build + save a run from a sales file (or stored history for velocity). Shared by the route, the
+// inbox watcher and the Odoo sync; opts are the route's form fields plus either
+// file: { path, name } or already parsed lines + sourceName.
+// Returns the route's JSON body, or { status, error: { code, params } } when the input is rejected.
+function generateRun(ctx, opts) {
+  const file = opts.file || (opts.lines ? { name: opts.sourceName, lines: opts.lines } : null);
+  const mode = String(opts.mode || "minmax").trim();
+  if (!REPLAN_MODES.includes(mode)) return { status: 400, error: { code: "MODE_ONE_OF", params: { modes: REPLAN_MODES.join(", ") } } };
+  // Velocity can run on stored history alone; Min/Max needs today's sales file
+  if (!file && mode !== "velocity") return { status: 400, error: { code: "NO_SALES_FILE" } };
+
+  const params = {
+    windowDays: Math.min(Math.max(Number(opts.windowDays) || 28, 1), 365),
+    coverDays: Math.min(Math.max(Number(opts.coverDays) || 7, 1), 90),
+    salesDate: String(opts.salesDate || "").trim() || new Date().toISOString().slice(0, 10),
+    salesDays: Math.min(Math.max(Number(opts.salesDays) || 1, 1), 365)
+  };
+  if (Number.isNaN(new Date(params.salesDate).getTime())) return { status: 400, error: { code: "SALES_DATE" } };
+
+  const categoryFilter = normCategory(opts.category);
+  const stockMaster = loadStockMaster();
+  const stockItems = stockMaster.items || {};
+  if (!stockMaster.updatedAt || Object.keys(stockItems).length === 0) return { status: 400, error: { code: "STOCK_EMPTY" } };
+  if (categoryFilter && !Object.values(stockItems).some(st => inCategory(st.category, categoryFilter))) {
+    return { status: 400, error: { code: "CATEGORY_NOT_IN_STOCK", params: { category: categoryFilter } } };
+  }
 
-    const categoryFilter = String(req.body?.category || "").trim();
-    const stockMaster = loadStockMaster();
-    const stockItems = stockMaster.items || {};
-    if (!stockMaster.updatedAt || Object.keys(stockItems).length === 0) {
-      fs.unlinkSync(req.file.path);
-      return res.status(400).json({ error: "Stock is empty. Update stock first." });
-    }
+  const salesParsed = applySynonyms(!file ? [] : file.lines || readLinesFromUploadedFile(file.path, file.name, getProfile(opts.profile)));
+  const unmatched = unmatchedSales(salesParsed, stockItems);
 
-    const salesRows = readRowsFromUploadedFile(req.file.path, req.file.originalname);
-    fs.unlinkSync(req.file.path);
-    const salesParsed = parseRows(salesRows);
+  const salesMap = new Map();
+  for (const it of salesParsed) {
+    const key = makeKey(it.sku, it.size, it.color);
+    salesMap.set(key, (salesMap.get(key) || 0) + (Number(it.qty) || 0));
+  }
 
-    const salesMap = new Map();
-    for (const it of salesParsed) {
-      const key = makeKey(it.sku, it.size, it.color);
-      salesMap.set(key, (salesMap.get(key) || 0) + (Number(it.qty) || 0));
+  const runId = newId("RUN");
+  const createdAt = new Date().toISOString();
+
+  // Keep the upload as a dated sales record; re-uploading the same file for the same period replaces it,
+  // and what the replaced record took off the floor goes back first, so the same sales never count twice
+  let salesId = null, salesRecord = null;
+  const ledger = [];
+  const history = loadSalesHistory();
+  if (file) {
+    salesId = newId("SALES");
+    const same = (r) => r.fileName === file.name && r.salesDate === params.salesDate && r.salesDays === params.salesDays;
+    const restoreSrc = { at: createdAt, source: "sales", sourceId: runId, ...i18n.coded("reason", "LEDGER_SALES_REPLACED", { file: file.name }), by: actor(ctx) };
+    for (const prev of history.records.filter(same)) {
+      for (const [key, qty] of Object.entries(prev.floorSold || {})) {
+        const st = stockItems[key];
+        if (!st || !(qty > 0)) continue;
+        st.floorQty = locQty(st, "floor") + qty;
+        ledger.push(movement(key, st, "floor", qty, restoreSrc));
+      }
     }
+    salesRecord = {
+      salesId,
+      uploadedAt: createdAt,
+      fileName: file.name,
+      salesDate: params.salesDate,
+      salesDays: params.salesDays,
+      runId,
+      items: Object.fromEntries(salesMap),
+      floorSold: {}
+    };
+    history.records = [salesRecord, ...history.records.filter(r => !same(r))];
+  }
 
-    const lines = [];
-    for (const [key, salesQtyRaw] of salesMap.entries()) {
-      const salesQty = Number(salesQtyRaw) || 0;
-      if (salesQty <= 0) continue;
-
-      const st = stockItems[key];
-      if (!st) continue;
-      if (categoryFilter && st.category !== categoryFilter) continue;
+  const velocity = mode === "velocity" ? avgDailySales(history.records, createdAt, params.windowDays) : new Map();
+  const candidates = new Set([...salesMap.keys(), ...velocity.keys()]);
+
+  const limits = loadLimits();
+  const lines = [];
+  const oversold = [];
+  const salesSrc = { at: createdAt, source: "sales", sourceId: runId, ...i18n.coded("reason", "LEDGER_SOLD", { file: file?.name || "" }), by: actor(ctx) };
+  for (const key of candidates) {
+    const salesQty = Number(salesMap.get(key)) || 0;
+    const avgDaily = velocity.get(key) || 0;
+    if (mode === "minmax" && salesQty <= 0) continue;
+    if (mode === "velocity" && avgDaily <= 0) continue;
+
+    const st = stockItems[key];
+    if (!st) continue;
+
+    // Sales come off the floor first; whatever the floor can't cover comes off the backroom
+    const floorBefore = locQty(st, "floor");
+    const soldFromFloor = Math.min(floorBefore, Math.max(0, salesQty));
+    const floorQty = floorBefore - soldFromFloor;
+    if (soldFromFloor > 0) {
+      st.floorQty = floorQty;
+      salesRecord.floorSold[key] = soldFromFloor;
+      ledger.push(movement(key, st, "floor", -soldFromFloor, salesSrc));
+    }
 
-      const stockQty = Number(st.qty) || 0;
-      const balance = stockQty - salesQty;
-      if (balance <= 0) continue;
+    if (!inCategory(st.category, categoryFilter)) continue;
 
-      const { min, max } = getSkuLimits(st.sku);
-      const pullQty = clampPull(balance, min, max);
-      if (pullQty <= 0) continue;
+    const stockQty = locQty(st, "backroom");
 
-      lines.push({
-        lineId: key,
-        category: st.category,
-        sku: st.sku,
-        size: st.size,
-        color: st.color,
-        stockQty,
-        salesQty,
-        balance,
-        pullQty,
-        status: "Pending",
-        executedAt: null
-      });
+    const balance = stockQty - (salesQty - soldFromFloor);
+    if (balance <= 0) {
+      // Sold more than the backroom had left: nothing to pull, kept for the dashboard's stockout list
+      if (salesQty > 0) oversold.push({ lineId: key, category: st.category, sku: st.sku, size: st.size, color: st.color, stockQty, floorQty, salesQty, balance });
+      continue;
     }
 
-    const runId = "RUN-" + Date.now();
-    const run = {
-      runId,
-      createdAt: new Date().toISOString(),
-      categoryFilter: categoryFilter || "All",
-      salesFileName: req.file.originalname,
-      lines: lines.sort((a, b) => (b.balance - a.balance) || String(a.sku).localeCompare(String(b.sku)))
+    const { min, max, rule } = resolveLimits(limits, st);
+    let pullQty, targetQty = null;
+    if (mode === "velocity") ({ pullQty, targetQty } = velocityPull(balance, min, max, floorQty, avgDaily, params.coverDays));
+    else pullQty = clampPull(balance, min, max, floorQty);
+    if (pullQty <= 0) continue;
+
+    const line = {
+      lineId: key,
+      category: st.category,
+      sku: st.sku,
+      size: st.size,
+      color: st.color,
+      stockQty,
+      floorQty,
+      salesQty,
+      balance,
+      pullQty,
+      limits: { min, max, rule: rule.type + (rule.key ? ":" + rule.key : "") },
+      status: "Pending",
+      executedAt: null
     };
+    if (mode === "velocity") {
+      line.avgDaily = Math.round(avgDaily * 100) / 100;
+      line.targetQty = targetQty;
+    }
+    lines.push(line);
+  }
 
-    const runsObj = loadRuns();
-    runsObj.runs.unshift(run);
-    saveRuns(runsObj);
+  const run = {
+    runId,
+    createdAt,
+    createdBy: actor(ctx),
+    categoryFilter: categoryFilter || "All",
+    salesFileName: file?.name || null,
+    salesId,
+    mode,
+    params: {
+      ...(mode === "velocity" ? { windowDays: params.windowDays, coverDays: params.coverDays } : {}),
+      ...(file ? { salesDate: params.salesDate, salesDays: params.salesDays } : {})
+    },
+    lines: lines.sort((a, b) => (b.balance - a.balance) || String(a.sku).localeCompare(String(b.sku))),
+    oversold,
+    unmatched
+  };
+
+  const runsObj = loadRuns();
+  runsObj.runs.unshift(run);
+  saveRuns(runsObj);
+  if (salesRecord) saveSalesHistory(history);
+  if (ledger.length) {
+    saveStockMaster(stockMaster);
+    appendLedger(ledger);
+  }
+
+  emit(ctx, "run", { run: runSummary(run), action: "created" });
+  return { runId, createdAt: run.createdAt, categoryFilter: run.categoryFilter, mode, params: run.params, linesCount: run.lines.length, lines: run.lines, oversoldCount: oversold.length, unmatchedCount: unmatched.length };
+}
+
+app.post("/api/replan/generate", upload.single("sales"), tx((req, res) => {
+  try {
+    const result = generateRun(req, { ...req.body, file: req.file ? { path: req.file.path, name: req.file.originalname } : null });
+    if (result.error) return res.status(result.status).json(result.error);
+    return res.json(result);
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  } finally {
+    if (req.file) fs.unlinkSync(req.file.path);
+  }
+}));
+
+/* =========================
+   Size / color dictionary APIs
+========================= */
+app.get("/api/synonyms", (req, res) => res.json(loadSynonyms()));
+
+// { type: "color" | "size", from, to }; a spelling already mapped is replaced
+app.post("/api/synonyms", tx((req, res) => {
+  try {
+    const type = String(req.body?.type || "").trim();
+    const from = String(req.body?.from ?? "").trim();
+    const to = String(req.body?.to ?? "").trim();
+    const table = SYNONYM_TYPES[type];
+    if (!table) return res.status(400).json({ code: "SYNONYM_TYPE", params: { types: Object.keys(SYNONYM_TYPES).join(", ") } });
+    if (!from || !to || from.length > 100 || to.length > 100) return res.status(400).json({ code: "SYNONYM_FROM_TO" });
+    if (from === to) return res.status(400).json({ code: "SYNONYM_SAME" });
+
+    const dict = loadSynonyms();
+    const toTarget = dict[table][normText(to)];
+    if (toTarget !== undefined && toTarget !== to) return res.status(400).json({ code: "SYNONYM_CHAIN", params: { to, target: toTarget } });
+    // Entries that pointed at `from` now point at `to`, so the dictionary never chains
+    for (const [k, v] of Object.entries(dict[table])) if (v === from) dict[table][k] = to;
+    dict[table][normText(from)] = to;
+    saveSynonyms(dict);
+    return res.json({ ok: true, type, from: normText(from), to, ...dict });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+app.delete("/api/synonyms/:type/:from", tx((req, res) => {
+  try {
+    const table = SYNONYM_TYPES[req.params.type];
+    if (!table) return res.status(400).json({ code: "SYNONYM_TYPE", params: { types: Object.keys(SYNONYM_TYPES).join(", ") } });
+    const dict = loadSynonyms();
+    const key = normText(req.params.from);
+    if (!(key in dict[table])) return res.status(404).json({ code: "ENTRY_NOT_FOUND" });
+    delete dict[table][key];
+    saveSynonyms(dict);
+    return res.json({ ok: true, ...dict });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+/* =========================
+   Sales History APIs
+========================= */
+app.get("/api/sales/history", (req, res) => {
+  const history = loadSalesHistory();
+  return res.json({
+    records: history.records.map(({ items, ...r }) => ({
+      ...r,
+      lines: Object.keys(items || {}).length,
+      qty: Object.values(items || {}).reduce((s, q) => s + (Number(q) || 0), 0)
+    }))
+  });
+});
+
+// Remove a mistaken upload from the velocity history (Admin)
+app.delete("/api/sales/history/:salesId", tx((req, res) => {
+  try {
+    const history = loadSalesHistory();
+    const before = history.records.length;
+    history.records = history.records.filter(r => r.salesId !== req.params.salesId);
+    if (history.records.length === before) return res.status(404).json({ code: "SALES_RECORD_NOT_FOUND" });
+    saveSalesHistory(history);
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
 
-    return res.json({ runId, createdAt: run.createdAt, categoryFilter: run.categoryFilter, linesCount: run.lines.length, lines: run.lines });
+// Dry run of the sales file: parse report only, no run is created
+app.post("/api/replan/preview", upload.single("sales"), (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ code: "NO_SALES_FILE" });
+
+    const report = previewUploadedFile(req.file, req.body?.profile);
+    const stockItems = loadStockMaster().items || {};
+    report.summary.notInStock = applySynonyms(report.lines, report).filter(l => !stockItems[makeKey(l.sku, l.size, l.color)]).length;
+    return res.json(report);
   } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+    return res.status(e.status || 500).json(i18n.errorBody(e));
   }
 });
 
-app.post("/api/replan/execute", (req, res) => {
+app.post("/api/replan/execute", tx(idempotent((req, res) => {
   try {
     const runId = String(req.body?.runId || "").trim();
     const lineId = String(req.body?.lineId || "").trim();
-    if (!runId || !lineId) return res.status(400).json({ error: "Missing runId or lineId" });
+    if (!runId || !lineId) return res.status(400).json({ code: "MISSING_RUN_OR_LINE" });
 
     const runsObj = loadRuns();
     const run = runsObj.runs.find(r => r.runId === runId);
-    if (!run) return res.status(404).json({ error: "Run not found" });
+    if (!run) return res.status(404).json({ code: "RUN_NOT_FOUND" });
+    if (run.status === "Cancelled") return res.status(409).json({ code: "RUN_CANCELLED" });
 
     const line = run.lines.find(l => l.lineId === lineId);
-    if (!line) return res.status(404).json({ error: "Line not found" });
-    if (line.status === "Done") return res.json({ ok: true, line, message: "Already executed" });
+    if (!line) return res.status(404).json({ code: "LINE_NOT_FOUND" });
+    if (EXECUTED_STATUSES.includes(line.status)) return res.json({ ok: true, line, alreadyDone: true, ...i18n.coded("message", "ALREADY_EXECUTED") });
+    if (line.status === "Skipped") return res.status(400).json({ code: "LINE_SKIPPED" });
+
+    const need = Number(line.pullQty) || 0;
+    const pick = readActualQty(req.body, need);
+    if (pick.error) return res.status(400).json(pick.error);
 
     const stock = loadStockMaster();
     const st = stock.items?.[lineId];
-    if (!st) return res.status(400).json({ error: "Item not found in stock" });
+    if (!st && pick.actual > 0) return res.status(400).json({ code: "ITEM_NOT_IN_STOCK" });
+    const have = Number(st?.qty) || 0;
+    if (have < pick.actual) return res.status(400).json({ code: "INSUFFICIENT_STOCK", params: { have, need: pick.actual }, conflict: "insufficient_stock" });
 
-    const need = Number(line.pullQty) || 0;
-    const have = Number(st.qty) || 0;
-    if (have < need) return res.status(400).json({ error: `Insufficient stock. Have ${have}, need ${need}` });
-
-    st.qty = have - need;
-    line.status = "Done";
-    line.executedAt = new Date().toISOString();
+    const now = new Date().toISOString();
+    const ledger = [];
+    pickLine(ledger, line, st, need, pick.actual, pick.reason,
+      { at: now, source: "replan", sourceId: runId, ...i18n.coded("reason", "LEDGER_REPLAN_EXECUTE"), by: actor(req) });
 
     saveStockMaster(stock);
     saveRuns(runsObj);
+    appendLedger(ledger);
 
-    return res.json({ ok: true, line, newStockQty: st.qty });
+    emit(req, "line", { target: "replan", runId, lines: [line], action: "execute" });
+    return res.json({ ok: true, line, newStockQty: st?.qty ?? 0, newFloorQty: st?.floorQty ?? 0 });
   } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+    return res.status(e.status || 500).json(i18n.errorBody(e));
   }
-});
+})));
 
-app.post("/api/replan/executeAll", (req, res) => {
+app.post("/api/replan/executeAll", tx(idempotent((req, res) => {
   try {
     const runId = String(req.body?.runId || "").trim();
-    if (!runId) return res.status(400).json({ error: "Missing runId" });
+    if (!runId) return res.status(400).json({ code: "MISSING_RUN_ID" });
 
     const runsObj = loadRuns();
     const run = runsObj.runs.find(r => r.runId === runId);
-    if (!run) return res.status(404).json({ error: "Run not found" });
+    if (!run) return res.status(404).json({ code: "RUN_NOT_FOUND" });
+    if (run.status === "Cancelled") return res.status(409).json({ code: "RUN_CANCELLED" });
 
     const stock = loadStockMaster();
     let executed = 0, failed = 0;
     const failures = [];
     const now = new Date().toISOString();
+    const ledger = [];
+    const src = { at: now, source: "replan", sourceId: runId, ...i18n.coded("reason", "LEDGER_REPLAN_EXECUTE_ALL"), by: actor(req) };
 
     for (const line of run.lines) {
-      if (line.status === "Done") continue;
+      if (line.status !== "Pending") continue;
 
       const st = stock.items?.[line.lineId];
       const need = Number(line.pullQty) || 0;
       const have = Number(st?.qty) || 0;
 
-      if (!st || need <= 0) { failed++; failures.push({ lineId: line.lineId, reason: "Missing stock / pullQty<=0" }); continue; }
-      if (have < need) { failed++; failures.push({ lineId: line.lineId, reason: `Insufficient have ${have}, need ${need}` }); continue; }
+      if (!st || need <= 0) { failed++; failures.push({ lineId: line.lineId, ...i18n.coded("reason", "MISSING_STOCK_PULL_QTY") }); continue; }
+      if (have < need) { failed++; failures.push({ lineId: line.lineId, ...i18n.coded("reason", "INSUFFICIENT", { have, need }) }); continue; }
 
-      st.qty = have - need;
-      line.status = "Done";
-      line.executedAt = now;
+      pickLine(ledger, line, st, need, need, "", src);
       executed++;
     }
 
     saveStockMaster(stock);
     saveRuns(runsObj);
+    appendLedger(ledger);
 
+    emit(req, "line", { target: "replan", runId, lines: run.lines.filter(l => l.executedAt === now), action: "execute" });
     return res.json({ ok: true, executed, failed, failures, lines: run.lines });
   } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+    return res.status(e.status || 500).json(i18n.errorBody(e));
   }
-});
+})));
+
+// Reverse a mistakenly executed line (Admin)
+app.post("/api/replan/reverse", tx((req, res) => {
+  try {
+    const runId = String(req.body?.runId || "").trim();
+    const lineId = String(req.body?.lineId || "").trim();
+    const reason = String(req.body?.reason || "").trim();
+    if (!runId || !lineId) return res.status(400).json({ code: "MISSING_RUN_OR_LINE" });
+
+    const runsObj = loadRuns();
+    const run = runsObj.runs.find(r => r.runId === runId);
+    if (!run) return res.status(404).json({ code: "RUN_NOT_FOUND" });
+    if (run.status === "Cancelled") return res.status(409).json({ code: "RUN_CANCELLED" });
+
+    const line = run.lines.find(l => l.lineId === lineId);
+    if (!line) return res.status(404).json({ code: "LINE_NOT_FOUND" });
+    if (!EXECUTED_STATUSES.includes(line.status)) return res.status(400).json({ code: "LINE_NOT_EXECUTED" });
+
+    const qty = pickedQty(line, Number(line.pullQty) || 0);
+    const stock = loadStockMaster();
+    const st = stock.items?.[lineId];
+    if (!st && qty > 0) return res.status(400).json({ code: "ITEM_NOT_IN_STOCK" });
+
+    const now = new Date().toISOString();
+    const ledger = [];
+    if (qty > 0) {
+      reverseMove(ledger, lineId, st, qty,
+        { at: now, source: "reversal", sourceId: runId, ...i18n.coded("reason", "LEDGER_REPLAN_REVERSAL"), note: reason, by: actor(req) });
+    }
+    unpickLine(line, now, actor(req), reason);
+
+    saveStockMaster(stock);
+    saveRuns(runsObj);
+    appendLedger(ledger);
+
+    emit(req, "line", { target: "replan", runId, lines: [line], action: "reverse" });
+    return res.json({ ok: true, line, newStockQty: st?.qty ?? 0, newFloorQty: st?.floorQty ?? 0 });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
 
 /* =========================
-   Dashboard (from runs JSON)
+   Run Management
+   - run.status: "Open" (default) | "Cancelled"
+   - line.status: "Pending" | "Done" | "Partial" | "NotFound" | "Skipped"
 ========================= */
-app.get("/api/dashboard", (req, res) => {
+function runSummary(run) {
+  const count = (st) => run.lines.filter(l => l.status === st).length;
+  const pending = count("Pending");
+  return {
+    runId: run.runId,
+    createdAt: run.createdAt,
+    createdBy: run.createdBy || null,
+    categoryFilter: run.categoryFilter,
+    salesFileName: run.salesFileName,
+    mode: run.mode || "minmax",
+    status: run.status === "Cancelled" ? "Cancelled" : pending ? "Open" : "Completed",
+    lines: run.lines.length,
+    pending,
+    done: count("Done"),
+    partial: count("Partial"),
+    notFound: count("NotFound"),
+    skipped: count("Skipped"),
+    pullQty: run.lines.reduce((s, l) => s + (Number(l.pullQty) || 0), 0),
+    shortQty: run.lines.reduce((s, l) => s + (Number(l.shortQty) || 0), 0),
+    unmatched: (run.unmatched || []).length
+  };
+}
+
+// Pending line of an open run, or an { status, error: { code, params } } to send back
+function findPendingLine(runsObj, runId, lineId) {
+  const run = runsObj.runs.find(r => r.runId === runId);
+  if (!run) return { status: 404, error: { code: "RUN_NOT_FOUND" } };
+  if (run.status === "Cancelled") return { status: 409, error: { code: "RUN_CANCELLED" } };
+  const line = run.lines.find(l => l.lineId === lineId);
+  if (!line) return { status: 404, error: { code: "LINE_NOT_FOUND" } };
+  if (line.status !== "Pending") return { status: 400, error: { code: "LINE_STATUS", params: { status: line.status } } };
+  return { run, line };
+}
+
+app.get("/api/replan/runs", (req, res) => {
   try {
-    const days = Math.max(Number(req.query.days) || 30, 1);
-    const staleDays = Math.max(Number(req.query.staleDays) || 14, 1);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 20, 1), 200);
+    const status = String(req.query.status || "").trim(); // Open | Completed | Cancelled
     const category = String(req.query.category || "").trim();
+    const from = req.query.from ? new Date(String(req.query.from)).getTime() : null;
+    const to = req.query.to ? new Date(String(req.query.to)).getTime() + DAY_MS - 1 : null;
+    if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ code: "FROM_TO_DATES" });
+
+    let runs = loadRuns().runs.map(runSummary);
+    if (status) runs = runs.filter(r => r.status === status);
+    if (category) runs = runs.filter(r => inCategory(r.categoryFilter, category));
+    if (from !== null) runs = runs.filter(r => new Date(r.createdAt).getTime() >= from);
+    if (to !== null) runs = runs.filter(r => new Date(r.createdAt).getTime() <= to);
+
+    return res.json({ page, pageSize, total: runs.length, runs: runs.slice((page - 1) * pageSize, page * pageSize) });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
 
-    const since = Date.now() - days * 24 * 3600 * 1000;
-    const staleCutoff = Date.now() - staleDays * 24 * 3600 * 1000;
+app.get("/api/replan/runs/:runId", (req, res) => {
+  const run = loadRuns().runs.find(r => r.runId === req.params.runId);
+  if (!run) return res.status(404).json({ code: "RUN_NOT_FOUND" });
+  return res.json({ ...run, summary: runSummary(run) });
+});
+
+// Sales that matched no stock line; added = the suggestion is in the dictionary now
+app.get("/api/replan/runs/:runId/unmatched", (req, res) => {
+  const run = loadRuns().runs.find(r => r.runId === req.params.runId);
+  if (!run) return res.status(404).json({ code: "RUN_NOT_FOUND" });
+  const dict = loadSynonyms();
+  const rows = (run.unmatched || []).map(u => ({
+    ...u,
+    suggestions: u.suggestions.map(sg => ({ ...sg, added: dict[SYNONYM_TYPES[sg.type]][normText(sg.from)] === sg.to }))
+  }));
+  return res.json({ runId: run.runId, lines: rows.length, qty: rows.reduce((s, r) => s + r.qty, 0), rows });
+});
+
+app.get("/api/replan/runs/:runId/shortfall", (req, res) => {
+  const run = loadRuns().runs.find(r => r.runId === req.params.runId);
+  if (!run) return res.status(404).json({ code: "RUN_NOT_FOUND" });
+  const rows = shortfallRows(run.lines, "pullQty");
+  return res.json({ runId: run.runId, lines: rows.length, shortQty: rows.reduce((s, r) => s + r.shortQty, 0), rows });
+});
+
+app.get("/api/newcollection/shortfall", (req, res) => {
+  const batch = findBatch(loadNewCollection(), req.query.batchId) || EMPTY_BATCH;
+  if (req.query.batchId && !batch.batchId) return res.status(404).json({ code: "BATCH_NOT_FOUND" });
+  const rows = shortfallRows(batch.items, "qty");
+  return res.json({ batchId: batch.batchId, createdAt: batch.createdAt, lines: rows.length, shortQty: rows.reduce((s, r) => s + r.shortQty, 0), rows });
+});
+
+// Change a Pending line's pullQty before execution
+app.post("/api/replan/updateLine", tx((req, res) => {
+  try {
+    const runId = String(req.body?.runId || "").trim();
+    const lineId = String(req.body?.lineId || "").trim();
+    const pullQty = Number(req.body?.pullQty);
+    const note = String(req.body?.note || "").trim();
+    if (!runId || !lineId) return res.status(400).json({ code: "MISSING_RUN_OR_LINE" });
+    if (!Number.isInteger(pullQty) || pullQty < 1) return res.status(400).json({ code: "PULL_QTY_MIN" });
+    if (!note) return res.status(400).json({ code: "MISSING_NOTE" });
 
     const runsObj = loadRuns();
-    const doneLines = [];
-    const lastBySku = new Map();
-
-    for (const run of runsObj.runs) {
-      for (const l of run.lines) {
-        if (l.status === "Done" && l.executedAt) {
-          const t = new Date(l.executedAt).getTime();
-          if (!category || l.category === category) {
-            const skuKey = `${l.category}||${l.sku}||${l.size}||${l.color}`;
-            lastBySku.set(skuKey, Math.max(lastBySku.get(skuKey) || 0, t));
-          }
-          if (t >= since) {
-            if (!category || l.category === category) doneLines.push(l);
-          }
-        }
-      }
+    const found = findPendingLine(runsObj, runId, lineId);
+    if (found.error) return res.status(found.status).json(found.error);
+
+    const { line } = found;
+    if (line.originalPullQty === undefined) line.originalPullQty = line.pullQty;
+    line.edits = line.edits || [];
+    line.edits.push({ at: new Date().toISOString(), by: actor(req), from: line.pullQty, to: pullQty, note });
+    line.pullQty = pullQty;
+    saveRuns(runsObj);
+
+    emit(req, "line", { target: "replan", runId, lines: [line], action: "edit" });
+    return res.json({ ok: true, line });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+app.post("/api/replan/skipLine", tx((req, res) => {
+  try {
+    const runId = String(req.body?.runId || "").trim();
+    const lineId = String(req.body?.lineId || "").trim();
+    const reason = String(req.body?.reason || "").trim();
+    if (!runId || !lineId) return res.status(400).json({ code: "MISSING_RUN_OR_LINE" });
+    if (!reason) return res.status(400).json({ code: "MISSING_REASON" });
+
+    const runsObj = loadRuns();
+    const found = findPendingLine(runsObj, runId, lineId);
+    if (found.error) return res.status(found.status).json(found.error);
+
+    const { line } = found;
+    line.status = "Skipped";
+    line.skippedAt = new Date().toISOString();
+    line.skippedBy = actor(req);
+    line.skipReason = reason;
+    saveRuns(runsObj);
+
+    emit(req, "line", { target: "replan", runId, lines: [line], action: "skip" });
+    return res.json({ ok: true, line });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+// Cancel a whole run: no more executes; lines already Done stay Done (use reverse for those)
+app.post("/api/replan/cancel", tx((req, res) => {
+  try {
+    const runId = String(req.body?.runId || "").trim();
+    const reason = String(req.body?.reason || "").trim();
+    if (!runId) return res.status(400).json({ code: "MISSING_RUN_ID" });
+
+    const runsObj = loadRuns();
+    const run = runsObj.runs.find(r => r.runId === runId);
+    if (!run) return res.status(404).json({ code: "RUN_NOT_FOUND" });
+    if (run.status === "Cancelled") return res.json({ ok: true, run: runSummary(run), ...i18n.coded("message", "ALREADY_CANCELLED") });
+
+    run.status = "Cancelled";
+    run.cancelledAt = new Date().toISOString();
+    run.cancelledBy = actor(req);
+    run.cancelReason = reason;
+    saveRuns(runsObj);
+
+    emit(req, "run", { run: runSummary(run), action: "cancelled" });
+    return res.json({ ok: true, run: runSummary(run) });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+}));
+
+/* =========================
+   Scan execution
+   - target: "replan" (runId) or "newcollection"
+   - each scan of a SKU adds one piece to its Pending line; the line is executed
+     (backroom -> floor, full qty) once scannedQty reaches its qty
+   - same SKU on several Pending lines: answer with the candidates, client resends with lineId
+   - every scan is logged; unmatched ones are answered with ok:false, not an error status,
+     so the log entry is kept
+========================= */
+function scanTarget(target, runId, batchId) {
+  if (target === "newcollection") {
+    const nc = loadNewCollection();
+    const batch = findBatch(nc, batchId);
+    if (!batch) return { status: 404, error: { code: "BATCH_NOT_FOUND" } };
+    return {
+      lines: batch.items,
+      qtyField: "qty",
+      source: "newcollection",
+      sourceId: batch.batchId,
+      save: () => saveNewCollection(nc)
+    };
+  }
+  const runsObj = loadRuns();
+  const run = runsObj.runs.find(r => r.runId === runId);
+  if (!run) return { status: 404, error: { code: "RUN_NOT_FOUND" } };
+  if (run.status === "Cancelled") return { status: 409, error: { code: "RUN_CANCELLED" } };
+  return {
+    lines: run.lines,
+    qtyField: "pullQty",
+    source: "replan",
+    sourceId: run.runId,
+    save: () => saveRuns(runsObj)
+  };
+}
+
+function logScan(entry) {
+  storage.appendLines(SCAN_LOG_FILE, [JSON.stringify(entry)]);
+}
+
+app.post("/api/scan", tx(idempotent((req, res) => {
+  try {
+    const target = req.body?.target === "newcollection" ? "newcollection" : "replan";
+    const runId = String(req.body?.runId || "").trim();
+    const code = String(req.body?.code || "").trim();
+    const lineId = String(req.body?.lineId || "").trim();
+    if (!code) return res.status(400).json({ code: "MISSING_CODE" });
+    if (target === "replan" && !runId) return res.status(400).json({ code: "MISSING_RUN_ID" });
+
+    const t = scanTarget(target, runId, req.body?.batchId);
+    if (t.error) return res.status(t.status).json(t.error);
+
+    const now = new Date().toISOString();
+    const entry = { at: now, by: actor(req), target, runId: target === "replan" ? runId : t.sourceId, code };
+    const need = (l) => Number(l[t.qtyField]) || 0;
+    const candidates = t.lines.filter(l => l.sku === code && l.status === "Pending" && need(l) > 0 && (!lineId || l.lineId === lineId));
+
+    if (!candidates.length) {
+      const inList = t.lines.some(l => l.sku === code);
+      logScan({ ...entry, result: "unmatched" });
+      return res.json({
+        ok: false,
+        result: "unmatched",
+        code,
+        ...i18n.coded("message", inList ? "SCAN_NOTHING_LEFT" : "SCAN_NOT_IN_LIST", { code })
+      });
+    }
+    if (candidates.length > 1) {
+      return res.json({
+        ok: false,
+        result: "ambiguous",
+        code,
+        candidates: candidates.map(l => ({ lineId: l.lineId, size: l.size, color: l.color, qty: need(l), scannedQty: l.scannedQty || 0 }))
+      });
     }
 
-    const byCat = new Map();
-    const bySku = new Map();
-    for (const l of doneLines) {
-      byCat.set(l.category, (byCat.get(l.category) || 0) + (Number(l.pullQty) || 0));
-      const skuKey = `${l.category}||${l.sku}`;
-      bySku.set(skuKey, (bySku.get(skuKey) || 0) + (Number(l.pullQty) || 0));
+    const line = candidates[0];
+    const scanned = (Number(line.scannedQty) || 0) + 1;
+    let executed = false;
+    let stockInfo = {};
+
+    if (scanned >= need(line)) {
+      const stock = loadStockMaster();
+      const st = stock.items?.[line.lineId];
+      if (!st) return res.status(400).json({ code: "ITEM_NOT_IN_STOCK" });
+      const have = Number(st.qty) || 0;
+      if (have < need(line)) return res.status(400).json({ code: "INSUFFICIENT_STOCK", params: { have, need: need(line) }, conflict: "insufficient_stock" });
+
+      const ledger = [];
+      pickLine(ledger, line, st, need(line), need(line), "",
+        { at: now, source: t.source, sourceId: t.sourceId, ...i18n.coded("reason", "LEDGER_SCAN_EXECUTE"), by: actor(req) });
+      saveStockMaster(stock);
+      appendLedger(ledger);
+      executed = true;
+      stockInfo = { newStockQty: st.qty, newFloorQty: st.floorQty };
     }
+    line.scannedQty = scanned;
+    t.save();
+    logScan({ ...entry, lineId: line.lineId, result: executed ? "completed" : "counted", scannedQty: scanned });
+    emit(req, "line", { target, runId: target === "replan" ? runId : undefined, batchId: target === "replan" ? undefined : t.sourceId, lines: [line], action: executed ? "execute" : "scan" });
+
+    return res.json({ ok: true, result: executed ? "completed" : "counted", line, scannedQty: scanned, qty: need(line), ...stockInfo });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+})));
+
+// Newest first; ?result=unmatched for the warnings only
+app.get("/api/scan/log", (req, res) => {
+  try {
+    const runId = String(req.query.runId || "").trim();
+    const result = String(req.query.result || "").trim();
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    const entries = storage.readLines(SCAN_LOG_FILE)
+      .map(l => { try { return JSON.parse(l); } catch { return null; } })
+      .filter(e => e && (!runId || e.runId === runId) && (!result || e.result === result))
+      .reverse()
+      .slice(0, limit);
+    return res.json({ entries });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
 
-    const topCategories = Array.from(byCat.entries())
-      .map(([category, qty]) => ({ category, qty }))
-      .sort((a, b) => b.qty - a.qty)
-      .slice(0, 15);
+/* =========================
+   Dashboard (runs, sales history, stock master)
+   - window: from/to (YYYY-MM-DD, both included) or the last `days` days
+   - category: a node of the category tree; it and everything under it
+   - pulled: picked qty per day and per week (weeks start Monday), per category one level
+     below the filter (or `depth`), biggest 8 + "Other"
+   - sellThrough: sold / (sold + on hand now); daysOfCover: on hand / average daily sales,
+     sales taken from the uploads that overlap the window
+   - oversold: lines whose sales ran past the backroom (left out of runs, kept on run.oversold)
+   - sizeRuns: SKU+color with some sizes sold out (broken run) or missing on the floor only
+========================= */
+const SIZE_ORDER = ["XXS", "XS", "S", "M", "L", "XL", "XXL", "XXXL"];
+const SERIES_TOP = 8;
+
+function compareSizes(a, b) {
+  const rank = (s) => {
+    const u = String(s).trim().toUpperCase();
+    if (SIZE_ORDER.includes(u)) return [1, SIZE_ORDER.indexOf(u)];
+    const n = parseFloat(u);
+    return Number.isNaN(n) ? [2, 0] : [0, n];
+  };
+  const [ga, na] = rank(a), [gb, nb] = rank(b);
+  return ga - gb || na - nb || String(a).localeCompare(String(b));
+}
 
-    const topSkus = Array.from(bySku.entries())
-      .map(([k, qty]) => {
-        const [cat, sku] = k.split("||");
-        return { category: cat, sku, qty };
-      })
-      .sort((a, b) => b.qty - a.qty)
-      .slice(0, 20);
+const categoryDepth = (category) => (normCategory(category) ? normCategory(category).split(CAT_SEP).length : 0);
+const categoryAtDepth = (category, depth) => normCategory(category).split(CAT_SEP).slice(0, depth).join(CAT_SEP) || "-";
 
-    const stockMaster = loadStockMaster();
-    const stockItems = stockMaster.items || {};
-    const noReplan = [];
-
-    for (const key of Object.keys(stockItems)) {
-      const st = stockItems[key];
-      const qty = Number(st.qty) || 0;
-      if (qty <= 0) continue;
-      if (category && st.category !== category) continue;
-
-      const skuKey = `${st.category}||${st.sku}||${st.size}||${st.color}`;
-      const last = lastBySku.get(skuKey) || 0;
-
-      if (last === 0 || last < staleCutoff) {
-        noReplan.push({
-          category: st.category,
-          sku: st.sku,
-          size: st.size,
-          color: st.color,
-          stockQty: st.qty,
-          lastExecutedAt: last ? new Date(last).toISOString() : null
-        });
+// First level under the filter where the categories actually split
+function seriesDepth(categories, base) {
+  const max = Math.max(base + 1, ...categories.map(categoryDepth));
+  for (let d = base + 1; d <= max; d++) {
+    if (new Set(categories.map(c => categoryAtDepth(c, d))).size > 1) return d;
+  }
+  return base + 1;
+}
+
+function dashboardWindow(query) {
+  const day = (v) => {
+    const t = /^\d{4}-\d{2}-\d{2}$/.test(String(v || "")) ? dayStart(String(v)) : NaN;
+    return Number.isNaN(t) ? null : t;
+  };
+  let from = day(query.from), to = day(query.to);
+  if (query.from && from === null || query.to && to === null) throw i18n.codedError("FROM_TO_FORMAT", {}, 400);
+  if (to === null) to = dayStart(new Date().toISOString());
+  if (from === null) from = to - (Math.max(Number(query.days) || 30, 1) - 1) * DAY_MS;
+  if (from > to) throw i18n.codedError("FROM_AFTER_TO", {}, 400);
+  if ((to - from) / DAY_MS > 730) throw i18n.codedError("WINDOW_LIMIT", {}, 400);
+  return { from, to, end: to + DAY_MS - 1, days: Math.round((to - from) / DAY_MS) + 1 };
+}
+
+const isoDay = (t) => new Date(t).toISOString().slice(0, 10);
+const weekStart = (t) => t - ((new Date(t).getUTCDay() + 6) % 7) * DAY_MS;
+
+// buckets: sorted day stamps; points: [{ t, group, qty }] -> { buckets, series: [{ category, values, total }] }
+function timeSeries(buckets, bucketOf, points, groups) {
+  const index = new Map(buckets.map((b, i) => [b, i]));
+  const byGroup = new Map(groups.map(g => [g, new Array(buckets.length).fill(0)]));
+  for (const p of points) {
+    const i = index.get(bucketOf(p.t));
+    const g = byGroup.has(p.group) ? p.group : "Other";
+    if (i === undefined) continue;
+    if (!byGroup.has(g)) byGroup.set(g, new Array(buckets.length).fill(0));
+    byGroup.get(g)[i] += p.qty;
+  }
+  return {
+    buckets: buckets.map(isoDay),
+    series: Array.from(byGroup.entries()).map(([category, values]) => ({ category, values, total: values.reduce((s, v) => s + v, 0) }))
+  };
+}
+
+function buildDashboard(query) {
+  const win = dashboardWindow(query);
+  const staleDays = Math.max(Number(query.staleDays) || 14, 1);
+  const category = normCategory(query.category);
+  const staleCutoff = Date.now() - staleDays * DAY_MS;
+
+  const runsObj = loadRuns();
+  const doneLines = [];
+  const lastBySku = new Map();
+  const oversoldByLine = new Map();
+
+  for (const run of runsObj.runs) {
+    for (const l of run.lines) {
+      if (EXECUTED_STATUSES.includes(l.status) && l.executedAt) {
+        const t = new Date(l.executedAt).getTime();
+        if (!inCategory(l.category, category)) continue;
+        const skuKey = `${l.category}||${l.sku}||${l.size}||${l.color}`;
+        lastBySku.set(skuKey, Math.max(lastBySku.get(skuKey) || 0, t));
+        if (t >= win.from && t <= win.end) doneLines.push({ ...l, t });
       }
     }
 
-    noReplan.sort((a, b) => (a.lastExecutedAt || "").localeCompare(b.lastExecutedAt || ""));
-    return res.json({ windowDays: days, staleDays, category: category || "All", topCategories, topSkus, noReplan: noReplan.slice(0, 200) });
+    const runAt = new Date(run.createdAt).getTime();
+    if (runAt < win.from || runAt > win.end) continue;
+    for (const o of run.oversold || []) {
+      if (!inCategory(o.category, category)) continue;
+      const agg = oversoldByLine.get(o.lineId) || { ...o, runs: 0, salesQty: 0, lastRunId: null, lastAt: null };
+      agg.runs++;
+      agg.salesQty += Number(o.salesQty) || 0;
+      if (!agg.lastAt || run.createdAt > agg.lastAt) Object.assign(agg, { lastAt: run.createdAt, lastRunId: run.runId, balance: o.balance, stockQty: o.stockQty });
+      oversoldByLine.set(o.lineId, agg);
+    }
+  }
+
+  const byCat = new Map();
+  const bySku = new Map();
+  for (const l of doneLines) {
+    byCat.set(l.category, (byCat.get(l.category) || 0) + pickedQty(l, Number(l.pullQty) || 0));
+    const skuKey = `${l.category}||${l.sku}`;
+    bySku.set(skuKey, (bySku.get(skuKey) || 0) + pickedQty(l, Number(l.pullQty) || 0));
+  }
+
+  const topCategories = Array.from(byCat.entries())
+    .map(([category, qty]) => ({ category, qty }))
+    .sort((a, b) => b.qty - a.qty)
+    .slice(0, 15);
+
+  const topSkus = Array.from(bySku.entries())
+    .map(([k, qty]) => {
+      const [cat, sku] = k.split("||");
+      return { category: cat, sku, qty };
+    })
+    .sort((a, b) => b.qty - a.qty)
+    .slice(0, 20);
+
+  const stockMaster = loadStockMaster();
+  const stockItems = stockMaster.items || {};
+  const noReplan = [];
+
+  const stockTotals = { backroom: 0, floor: 0 };
+  for (const key of Object.keys(stockItems)) {
+    const st = stockItems[key];
+    if (!inCategory(st.category, category)) continue;
+    stockTotals.backroom += locQty(st, "backroom");
+    stockTotals.floor += locQty(st, "floor");
+
+    const qty = locQty(st, "backroom");
+    if (qty <= 0) continue;
+
+    const skuKey = `${st.category}||${st.sku}||${st.size}||${st.color}`;
+    const last = lastBySku.get(skuKey) || 0;
+
+    if (last === 0 || last < staleCutoff) {
+      noReplan.push({
+        category: st.category,
+        sku: st.sku,
+        size: st.size,
+        color: st.color,
+        stockQty: st.qty,
+        floorQty: locQty(st, "floor"),
+        lastExecutedAt: last ? new Date(last).toISOString() : null
+      });
+    }
+  }
+  noReplan.sort((a, b) => (a.lastExecutedAt || "").localeCompare(b.lastExecutedAt || ""));
+
+  // Sales in the window, spread evenly over each upload's days
+  const soldByKey = new Map();
+  const salesDays = new Set();
+  for (const rec of loadSalesHistory().records) {
+    const days = Math.max(1, Number(rec.salesDays) || 1);
+    const recEnd = dayStart(rec.salesDate);
+    const recStart = recEnd - (days - 1) * DAY_MS;
+    const overlap = Math.floor((Math.min(recEnd, win.to) - Math.max(recStart, win.from)) / DAY_MS) + 1;
+    if (overlap <= 0) continue;
+    for (let t = Math.max(recStart, win.from); t <= Math.min(recEnd, win.to); t += DAY_MS) salesDays.add(t);
+    for (const [key, qty] of Object.entries(rec.items || {})) {
+      soldByKey.set(key, (soldByKey.get(key) || 0) + (Number(qty) || 0) * overlap / days);
+    }
+  }
+
+  const scoped = Object.entries(stockItems).filter(([, st]) => inCategory(st.category, category));
+  const depth = Number(query.depth) > 0 ? Math.floor(Number(query.depth)) : seriesDepth(scoped.map(([, st]) => st.category), categoryDepth(category));
+  const groupOf = (c) => categoryAtDepth(c, depth);
+
+  // Pulled qty series
+  const points = doneLines.map(l => ({ t: dayStart(l.executedAt), group: groupOf(l.category), qty: pickedQty(l, Number(l.pullQty) || 0) }));
+  const groupTotals = new Map();
+  for (const p of points) groupTotals.set(p.group, (groupTotals.get(p.group) || 0) + p.qty);
+  const seriesGroups = Array.from(groupTotals.entries()).sort((a, b) => b[1] - a[1]).slice(0, SERIES_TOP).map(([g]) => g);
+  const dayBuckets = [];
+  for (let t = win.from; t <= win.to; t += DAY_MS) dayBuckets.push(t);
+  const weekBuckets = Array.from(new Set(dayBuckets.map(weekStart)));
+  const pulled = {
+    depth,
+    daily: timeSeries(dayBuckets, t => t, points, seriesGroups),
+    weekly: timeSeries(weekBuckets, weekStart, points, seriesGroups)
+  };
+
+  // Sell-through + days of cover per group
+  const coveredDays = salesDays.size;
+  const byGroup = new Map();
+  for (const [key, st] of scoped) {
+    const g = groupOf(st.category);
+    const row = byGroup.get(g) || { category: g, sold: 0, onHand: 0 };
+    row.sold += soldByKey.get(key) || 0;
+    row.onHand += locQty(st, "backroom") + locQty(st, "floor");
+    byGroup.set(g, row);
+  }
+  const sellThrough = Array.from(byGroup.values()).map(r => {
+    const sold = Math.round(r.sold);
+    const avgDaily = coveredDays ? r.sold / coveredDays : 0;
+    return {
+      category: r.category,
+      sold,
+      onHand: r.onHand,
+      sellThrough: sold + r.onHand > 0 ? Math.round((sold / (sold + r.onHand)) * 1000) / 10 : null,
+      avgDaily: Math.round(avgDaily * 100) / 100,
+      daysOfCover: avgDaily > 0 ? Math.round((r.onHand / avgDaily) * 10) / 10 : null
+    };
+  }).sort((a, b) => b.sold - a.sold || a.category.localeCompare(b.category));
+
+  // Size runs per SKU+color
+  const runsBySku = new Map();
+  for (const [key, st] of scoped) {
+    const k = `${st.sku}||${st.color}`;
+    const r = runsBySku.get(k) || { category: st.category, sku: st.sku, color: st.color, sizes: [] };
+    r.sizes.push({ size: st.size, backroom: locQty(st, "backroom"), floor: locQty(st, "floor"), sold: Math.round(soldByKey.get(key) || 0) });
+    runsBySku.set(k, r);
+  }
+  const sizeRuns = [];
+  for (const r of runsBySku.values()) {
+    if (r.sizes.length < 2) continue;
+    r.sizes.sort((a, b) => compareSizes(a.size, b.size));
+    r.missing = r.sizes.filter(s => s.backroom + s.floor <= 0).map(s => s.size);
+    r.floorGaps = r.sizes.filter(s => s.floor <= 0 && s.backroom > 0).map(s => s.size);
+    r.broken = r.missing.length > 0 && r.missing.length < r.sizes.length;
+    if (r.broken || r.floorGaps.length) sizeRuns.push(r);
+  }
+  sizeRuns.sort((a, b) => b.missing.length - a.missing.length || b.floorGaps.length - a.floorGaps.length || String(a.sku).localeCompare(String(b.sku)));
+
+  const oversold = Array.from(oversoldByLine.values())
+    .map(o => ({ ...o, backroomNow: locQty(stockItems[o.lineId], "backroom") }))
+    .sort((a, b) => b.runs - a.runs || b.salesQty - a.salesQty);
+
+  return {
+    from: isoDay(win.from),
+    to: isoDay(win.to),
+    windowDays: win.days,
+    salesDays: coveredDays,
+    staleDays,
+    category: category || "All",
+    stockTotals,
+    topCategories,
+    topSkus,
+    noReplan: noReplan.slice(0, 200),
+    pulled,
+    sellThrough,
+    oversold: oversold.slice(0, 200),
+    sizeRuns: sizeRuns.slice(0, 200)
+  };
+}
+
+app.get("/api/dashboard", (req, res) => {
+  try {
+    return res.json(buildDashboard(req.query));
   } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+    return res.status(e.status || 500).json(i18n.errorBody(e));
   }
 });
 
 /* =========================
-   PDF (Arabic-ready if font exists)
+   XLSX Exports (headers and status cells follow the request language, see i18n.js)
 ========================= */
-app.post("/api/pdf", (req, res) => {
+// sheets: [{ name, columns: [field], rows: [obj] }]
+function sendXlsx(res, fileName, lang, sheets) {
+  const h = i18n.HEADERS[lang];
+  const wb = XLSX.utils.book_new();
+  for (const sh of sheets) {
+    const aoa = [sh.columns.map(c => h[c] || c)];
+    // *At columns become real dates so Excel can filter/pivot on them
+    // status/mode cells read in the export language too
+    const cell = (r, c) => (/At$/.test(c) && r[c] ? new Date(r[c]) : c === "status" || c === "mode" ? i18n.value(lang, r[c] ?? "") : r[c] ?? "");
+    for (const r of sh.rows) aoa.push(sh.columns.map(c => cell(r, c)));
+    const ws = XLSX.utils.aoa_to_sheet(aoa, { cellDates: true, dateNF: "yyyy-mm-dd hh:mm" });
+    if (lang === "ar") ws["!views"] = [{ RTL: true }];
+    XLSX.utils.book_append_sheet(wb, ws, String(h[sh.name] || sh.name).slice(0, 31));
+  }
+  if (lang === "ar") wb.Workbook = { Views: [{ RTL: true }] };
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName.replace(/[^\w\-]/g, "_")}.xlsx"`);
+  return res.send(XLSX.write(wb, { type: "buffer", bookType: "xlsx" }));
+}
+
+app.get("/api/export/replan/:runId", (req, res) => {
+  try {
+    const run = loadRuns().runs.find(r => r.runId === req.params.runId);
+    if (!run) return res.status(404).json({ code: "RUN_NOT_FOUND" });
+    const columns = ["category", "sku", "size", "color", "stockQty", "floorQty", "salesQty", "balance",
+      ...(run.mode === "velocity" ? ["avgDaily"] : []), "pullQty", "actualQty", "status", "shortReason", "executedAt", "executedBy"];
+    return sendXlsx(res, run.runId, i18n.requestLang(req), [{ name: run.runId, columns, rows: run.lines }]);
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
+
+app.get("/api/export/newcollection", (req, res) => {
   try {
-    const title = String(req.body?.title || "Report").trim();
-    const items = req.body?.items;
-    if (!Array.isArray(items)) return res.status(400).json({ error: "Missing items" });
+    const batch = findBatch(loadNewCollection(), req.query.batchId);
+    if (!batch) return res.status(404).json({ code: "BATCH_NOT_FOUND" });
+    const columns = ["category", "sku", "size", "color", "qty", "actualQty", "status", "shortReason", "executedAt", "executedBy"];
+    return sendXlsx(res, batch.batchId, i18n.requestLang(req), [{ name: "newCollection", columns, rows: batch.items }]);
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
 
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader("Content-Disposition", `attachment; filename="${title.replace(/[^\w\- ]/g, "_")}.pdf"`);
+// Shortfall: system qty vs what the picker found, to correct in Odoo
+const SHORTFALL_COLUMNS = ["category", "sku", "size", "color", "systemQty", "qty", "actualQty", "shortQty", "status", "shortReason", "executedAt", "executedBy"];
 
-    const doc = new PDFDocument({ margin: 36, size: "A4" });
-    doc.pipe(res);
+app.get("/api/export/replan/:runId/shortfall", (req, res) => {
+  try {
+    const run = loadRuns().runs.find(r => r.runId === req.params.runId);
+    if (!run) return res.status(404).json({ code: "RUN_NOT_FOUND" });
+    return sendXlsx(res, run.runId + "_shortfall", i18n.requestLang(req),
+      [{ name: "shortfall", columns: SHORTFALL_COLUMNS, rows: shortfallRows(run.lines, "pullQty") }]);
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
 
-    const hasArabicFont = fs.existsSync(AR_FONT_PATH);
-    if (hasArabicFont) {
-      doc.registerFont("AR", AR_FONT_PATH);
-      doc.font("AR");
-    } else {
-      doc.font("Helvetica");
-    }
+app.get("/api/export/newcollection/shortfall", (req, res) => {
+  try {
+    const batch = findBatch(loadNewCollection(), req.query.batchId);
+    if (!batch) return res.status(404).json({ code: "BATCH_NOT_FOUND" });
+    return sendXlsx(res, batch.batchId + "_shortfall", i18n.requestLang(req),
+      [{ name: "shortfall", columns: SHORTFALL_COLUMNS, rows: shortfallRows(batch.items, "qty") }]);
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
 
-    doc.fontSize(16).text(title, { align: "center" });
-    doc.moveDown(0.3);
-    doc.fontSize(10).text(`Generated: ${new Date().toLocaleString()}`, { align: "center" });
-    doc.moveDown(1);
+// Same filters as /api/stock/search, without the row cap
+app.get("/api/export/stock", (req, res) => {
+  try {
+    const { items } = searchStock(req.query);
+    const columns = ["category", "sku", "size", "color", "stockQty", "floorQty"];
+    const rows = items.map(x => ({ ...x, stockQty: locQty(x, "backroom"), floorQty: locQty(x, "floor") }));
+    return sendXlsx(res, "Stock", i18n.requestLang(req), [{ name: "stock", columns, rows }]);
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
 
-    const headers = ["الفئة", "SKU", "المقاس", "اللون", "الكمية"];
-    const col = { cat: 36, sku: 220, size: 320, color: 390, qty: 520 };
+// { buckets, series } -> one row per day/week, one column per category
+function seriesSheet(name, { buckets, series }) {
+  return {
+    name,
+    columns: ["date", ...series.map(x => x.category)],
+    rows: buckets.map((date, i) => Object.fromEntries([["date", date], ...series.map(x => [x.category, x.values[i]])]))
+  };
+}
 
-    doc.fontSize(11);
-    doc.text(headers[0], col.cat, doc.y, { continued: true });
-    doc.text(headers[1], col.sku, doc.y, { continued: true });
-    doc.text(headers[2], col.size, doc.y, { continued: true });
-    doc.text(headers[3], col.color, doc.y, { continued: true });
-    doc.text(headers[4], col.qty, doc.y);
+app.get("/api/export/dashboard", (req, res) => {
+  try {
+    const lang = i18n.requestLang(req);
+    const d = buildDashboard(req.query);
+    const h = i18n.HEADERS[lang];
+    return sendXlsx(res, "Dashboard", lang, [
+      { name: "totals", columns: ["location", "qty"], rows: [
+        { location: h.backroom, qty: d.stockTotals.backroom },
+        { location: h.floor, qty: d.stockTotals.floor }
+      ] },
+      { name: "topCategories", columns: ["category", "qty"], rows: d.topCategories },
+      { name: "topSkus", columns: ["category", "sku", "qty"], rows: d.topSkus },
+      { name: "noReplan", columns: ["category", "sku", "size", "color", "stockQty", "floorQty", "lastExecutedAt"], rows: d.noReplan },
+      seriesSheet("pulledDaily", d.pulled.daily),
+      seriesSheet("pulledWeekly", d.pulled.weekly),
+      { name: "sellThrough", columns: ["category", "sold", "onHand", "sellThroughPct", "avgDaily", "daysOfCover"],
+        rows: d.sellThrough.map(r => ({ ...r, sellThroughPct: r.sellThrough })) },
+      { name: "oversold", columns: ["category", "sku", "size", "color", "runs", "salesQty", "stockQty", "balance", "backroomNow", "lastAt"], rows: d.oversold },
+      { name: "sizeRuns", columns: ["category", "sku", "color", "sizes", "missing", "floorGaps"], rows: d.sizeRuns.map(r => ({
+        ...r,
+        sizes: r.sizes.map(x => `${x.size}: ${x.backroom}/${x.floor}`).join("  "),
+        missing: r.missing.join(", "),
+        floorGaps: r.floorGaps.join(", ")
+      })) }
+    ]);
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
 
-    doc.moveDown(0.3);
-    doc.moveTo(36, doc.y).lineTo(560, doc.y).stroke();
-    doc.moveDown(0.5);
+/* =========================
+   Pick-list PDFs (built from saved data, labels follow the request language like the XLSX exports)
+========================= */
+// Category sections sorted by path, lines by SKU/size/color
+function pickListGroups(lines) {
+  const byCat = new Map();
+  for (const l of lines) {
+    if (!byCat.has(l.category)) byCat.set(l.category, []);
+    byCat.get(l.category).push(l);
+  }
+  const cmp = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+  return Array.from(byCat.keys()).sort(cmp).map(category => ({
+    category,
+    lines: byCat.get(category).sort((a, b) => cmp(a.sku, b.sku) || cmp(a.size, b.size) || cmp(a.color, b.color))
+  }));
+}
 
-    let y = doc.y;
-    for (const it of items) {
-      if (y > 760) { doc.addPage(); y = 36; if (hasArabicFont) doc.font("AR"); }
-      doc.text(String(it.category ?? ""), col.cat, y, { width: 175, ellipsis: true });
-      doc.text(String(it.sku ?? ""), col.sku, y, { width: 90 });
-      doc.text(String(it.size ?? ""), col.size, y, { width: 60 });
-      doc.text(String(it.color ?? ""), col.color, y, { width: 120, ellipsis: true });
-      doc.text(String(it.qty ?? ""), col.qty, y, { width: 40, align: "right" });
-      y += 18;
-    }
+function sendPickList(res, fileName, lang, { title, meta, lines }) {
+  const h = i18n.HEADERS[lang];
+  const fmt = (iso) => iso ? new Date(iso).toLocaleString(lang === "ar" ? "ar-EG" : "en-GB") : "-";
+  const doc = new PDFDocument({ margin: 36, size: "A4", bufferPages: true, info: { Title: title } });
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName.replace(/[^\w\-]/g, "_")}.pdf"`);
+  doc.pipe(res);
+  writePickList(doc, {
+    title,
+    meta: [...meta.map(([k, v]) => [h[k], /At$/.test(k) ? fmt(v) : k === "mode" ? i18n.value(lang, v) : v]), [h.printedAt, fmt(new Date().toISOString())]],
+    groups: pickListGroups(lines),
+    labels: h,
+    rtl: lang === "ar",
+    fontPath: fs.existsSync(AR_FONT_PATH) ? AR_FONT_PATH : null
+  });
+  doc.end();
+}
 
-    const totalQty = items.reduce((s, x) => s + (Number(x.qty) || 0), 0);
-    doc.moveDown(1);
-    doc.fontSize(12).text(`الإجمالي: ${totalQty}`, { align: "right" });
+// Lines still to pick plus the ones already done (pre-ticked); skipped lines are left out
+app.get("/api/replan/:runId/pdf", (req, res) => {
+  try {
+    const run = loadRuns().runs.find(r => r.runId === req.params.runId);
+    if (!run) return res.status(404).json({ code: "RUN_NOT_FOUND" });
+    const lang = i18n.requestLang(req);
+    const lines = run.lines
+      .filter(l => l.status !== "Skipped" && (Number(l.pullQty) || 0) > 0)
+      .map(l => ({ category: l.category, sku: l.sku, size: l.size, color: l.color, qty: l.pullQty, done: EXECUTED_STATUSES.includes(l.status) }));
+    return sendPickList(res, run.runId, lang, {
+      title: i18n.HEADERS[lang].replanPickList,
+      meta: [
+        ["runId", run.runId], ["createdAt", run.createdAt], ["createdBy", run.createdBy || "-"],
+        ["mode", run.mode || "minmax"], ["categoryFilter", run.categoryFilter], ["salesFileName", run.salesFileName || "-"]
+      ],
+      lines
+    });
+  } catch (e) {
+    return res.status(e.status || 500).json(i18n.errorBody(e));
+  }
+});
 
-    doc.end();
+app.get("/api/newcollection/pdf", (req, res) => {
+  try {
+    const batch = findBatch(loadNewCollection(), req.query.batchId);
+    if (!batch) return res.status(404).json({ code: "BATCH_NOT_FOUND" });
+    const lang = i18n.requestLang(req);
+    const lines = batch.items
+      .map(it => ({ category: it.category, sku: it.sku, size: it.size, color: it.color, qty: it.qty, done: EXECUTED_STATUSES.includes(it.status) }));
+    return sendPickList(res, batch.batchId, lang, {
+      title: i18n.HEADERS[lang].newCollectionPickList,
+      meta: [["batchId", batch.batchId], ["createdAt", batch.createdAt], ["mode", batch.mode || "-"]],
+      lines
+    });
   } catch (e) {
-    return res.status(500).json({ error: String(e.message || e) });
+    return res.status(e.status || 500).json(i18n.errorBody(e));
   }
 });
 
@@ -731,4 +3447,8 @@ app.post("/api/pdf", (req, res) => {
    Start
 ========================= */
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log("Server running on http://localhost:" + PORT));
\ No newline at end of file
+app.listen(PORT, () => {
+  console.log("Server running on http://localhost:" + PORT);
+  if (inbox.start()) console.log("Inbox: watching " + inbox.status().folders.dir);
+  if (odoo.start()) console.log("Odoo: scheduled sync on");
+});
\ No newline at end of file
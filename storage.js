@@ -0,0 +1,169 @@
+const fs = require("fs");
+const path = require("path");
+
+/* =========================
+   Storage (JSON files, in memory + atomic writes)
+   - load() reads a file once, then serves a copy from memory
+   - every write goes to "<file>.tmp", is fsync'd, then renamed over the file,
+     so a crash never leaves a truncated JSON behind
+   - transaction(fn): fn must be synchronous, so no other request can run in the
+     middle of it. Its writes are staged, written to a journal, then applied together
+   - remove(file): deletes a file, staged like a save
+   - recover(): on startup, finishes a journal a crash left behind
+========================= */
+const MISSING = Symbol("missing");
+
+function clone(obj) {
+  return obj === undefined ? obj : JSON.parse(JSON.stringify(obj));
+}
+
+function writeAtomic(file, text) {
+  const tmp = file + ".tmp";
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, text, null, "utf8");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+function createStorage({ dir }) {
+  const cache = new Map(); // file -> parsed JSON | MISSING
+  const journalPath = path.join(dir, ".journal.json");
+  let staged = null; // Map file -> write, only while a transaction runs
+
+  function load(file, fallback, { cache: useCache = true } = {}) {
+    const pending = staged?.get(file);
+    if (pending?.remove) return fallback;
+    if (pending && pending.text !== undefined) return JSON.parse(pending.text);
+
+    if (cache.has(file)) {
+      const hit = cache.get(file);
+      return hit === MISSING ? fallback : clone(hit);
+    }
+    let data = MISSING;
+    try {
+      if (fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      data = MISSING;
+    }
+    if (useCache) cache.set(file, data);
+    return data === MISSING ? fallback : clone(data);
+  }
+
+  function save(file, obj, { cache: useCache = true } = {}) {
+    const write = { file, text: JSON.stringify(obj, null, 2), cache: useCache };
+    if (staged) staged.set(file, write);
+    else commit([write]);
+  }
+
+  function remove(file) {
+    const write = { file, remove: true };
+    if (staged) staged.set(file, write);
+    else commit([write]);
+  }
+
+  // Append-only text files (the ledger); not cached, staged like save()
+  function appendLines(file, lines) {
+    if (!lines.length) return;
+    const text = lines.join("\n") + "\n";
+    if (staged) {
+      const prev = staged.get(file);
+      staged.set(file, { file, append: (prev?.append || "") + text });
+    } else commit([{ file, append: text }]);
+  }
+
+  function readLines(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, "utf8").split("\n").filter(l => l.trim());
+  }
+
+  function apply(writes) {
+    for (const w of writes) {
+      if (w.remove) {
+        if (fs.existsSync(w.file)) fs.unlinkSync(w.file);
+      } else if (w.append !== undefined) {
+        // A replayed journal starts from the recorded size, so a half-done append is not doubled
+        if (fs.existsSync(w.file) && fs.statSync(w.file).size > w.sizeBefore) fs.truncateSync(w.file, w.sizeBefore);
+        fs.appendFileSync(w.file, w.append, "utf8");
+      } else {
+        writeAtomic(w.file, w.text);
+      }
+    }
+  }
+
+  function commit(writes) {
+    if (!writes.length) return;
+    for (const w of writes) {
+      if (w.append !== undefined) w.sizeBefore = fs.existsSync(w.file) ? fs.statSync(w.file).size : 0;
+    }
+
+    // One whole-file write is atomic on its own; anything more goes through the journal
+    const journaled = writes.length > 1 || writes[0].append !== undefined;
+    if (journaled) {
+      writeAtomic(journalPath, JSON.stringify({
+        at: new Date().toISOString(),
+        writes: writes.map(({ cache: _, ...w }) => w)
+      }));
+    }
+    apply(writes);
+    if (journaled) fs.unlinkSync(journalPath);
+
+    for (const w of writes) {
+      if (w.remove) cache.delete(w.file);
+      if (w.text === undefined) continue;
+      if (w.cache) cache.set(w.file, JSON.parse(w.text));
+      else cache.delete(w.file);
+    }
+  }
+
+  function transaction(fn) {
+    if (staged) return fn(); // nested: joins the outer transaction
+
+    staged = new Map();
+    try {
+      const result = fn();
+      if (result && typeof result.then === "function") throw new Error("storage.transaction() callbacks must be synchronous");
+      const writes = Array.from(staged.values());
+      staged = null;
+      commit(writes);
+      return result;
+    } finally {
+      staged = null;
+    }
+  }
+
+  // Drop what the current transaction staged so far (e.g. the request ended in an error)
+  function discard() {
+    if (staged) staged.clear();
+  }
+
+  function recover() {
+    // Leftover temp files (here and one folder down) are writes that never got renamed in
+    for (const name of fs.readdirSync(dir)) {
+      const full = path.join(dir, name);
+      if (name.endsWith(".tmp")) fs.unlinkSync(full);
+      else if (fs.statSync(full).isDirectory()) {
+        for (const sub of fs.readdirSync(full)) if (sub.endsWith(".tmp")) fs.unlinkSync(path.join(full, sub));
+      }
+    }
+    if (!fs.existsSync(journalPath)) return 0;
+
+    let journal = null;
+    try {
+      journal = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+    } catch {
+      journal = null; // journal is written atomically; an unreadable one was never committed
+    }
+    if (journal) apply(journal.writes || []);
+    fs.unlinkSync(journalPath);
+    cache.clear();
+    return journal ? journal.writes.length : 0;
+  }
+
+  return { load, save, remove, appendLines, readLines, transaction, discard, recover };
+}
+
+module.exports = { createStorage };
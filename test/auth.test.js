@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN_PASSWORD, startServer } = require("./helpers");
+
+test("the first admin is only created from a set, long enough ADMIN_PASSWORD", async () => {
+  await assert.rejects(startServer({ env: { ADMIN_PASSWORD: "" }, login: false }), /set ADMIN_PASSWORD/);
+  await assert.rejects(startServer({ env: { ADMIN_PASSWORD: "1234" }, login: false }), /at least 8 characters/);
+});
+
+test("new passwords need 8 characters", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const short = await server.request("POST", "/api/users", { username: "floor1", role: "floor", password: "1234567" });
+  assert.equal(short.status, 400);
+  const ok = await server.request("POST", "/api/users", { username: "floor1", role: "floor", password: "12345678" });
+  assert.equal(ok.status, 200);
+});
+
+test("failed sign-ins back off per user and per IP", async (t) => {
+  const server = await startServer({ login: false });
+  t.after(() => server.stop());
+
+  const login = (username, password) => server.request("POST", "/api/auth/login", { username, password });
+  for (let i = 0; i < 5; i++) assert.equal((await login("admin", "wrong-password")).status, 401);
+
+  const locked = await login("admin", ADMIN_PASSWORD);
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, "TOO_MANY_LOGINS");
+  assert.ok(Number(locked.headers.get("retry-after")) >= 1);
+
+  // Same client, another username: the IP is backing off too
+  assert.equal((await login("someone", "wrong-password")).status, 429);
+
+  await new Promise(resolve => setTimeout(resolve, 2100));
+  assert.equal((await login("admin", ADMIN_PASSWORD)).status, 200);
+});
@@ -0,0 +1,128 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+/* =========================
+   Test server
+   - server.js on a free port with an empty data folder (DATA_DIR), signed in as the first admin
+   - request() keeps the session cookie; upload() posts an in-memory CSV as a multipart file
+========================= */
+const SERVER = path.join(__dirname, "..", "server.js");
+const MOCK_ODOO = path.join(__dirname, "..", "mock-odoo.js");
+const ADMIN_PASSWORD = "test-admin-pass";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on("error", reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+function toCsv(rows) {
+  const cell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  return rows.map(r => r.map(cell).join(",")).join("\n");
+}
+
+async function startServer({ env = {}, login = true } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "replan-test-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), DATA_DIR: path.join(dir, "data"), ADMIN_PASSWORD, ...env },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let output = "";
+  try {
+    await new Promise((resolve, reject) => {
+      child.stdout.on("data", d => { output += d; if (output.includes("Server running")) resolve(); });
+      child.stderr.on("data", d => { output += d; });
+      child.on("exit", code => reject(new Error(`server.js exited (${code})\n${output}`)));
+    });
+  } catch (e) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw e;
+  }
+
+  const base = `http://127.0.0.1:${port}`;
+  let cookie = "";
+
+  async function request(method, url, body, headers = {}) {
+    const opts = { method, headers: { ...headers } };
+    if (cookie) opts.headers.cookie = cookie;
+    if (body instanceof FormData) opts.body = body;
+    else if (body !== undefined) {
+      opts.body = JSON.stringify(body);
+      opts.headers["content-type"] = "application/json";
+    }
+    const res = await fetch(base + url, opts);
+    const setCookie = res.headers.get("set-cookie");
+    if (setCookie) cookie = setCookie.split(";")[0];
+    const isJson = (res.headers.get("content-type") || "").includes("json");
+    return { status: res.status, headers: res.headers, body: isJson ? await res.json() : Buffer.from(await res.arrayBuffer()) };
+  }
+
+  // content: rows [[text, qty]] in the default bracket-text layout, or the raw file bytes
+  function upload(url, field, fileName, content, fields = {}) {
+    const form = new FormData();
+    for (const [k, v] of Object.entries(fields)) form.append(k, String(v));
+    form.append(field, new Blob([Buffer.isBuffer(content) ? content : toCsv(content)], { type: "text/csv" }), fileName);
+    return request("POST", url, form);
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      child.removeAllListeners("exit");
+      const exited = new Promise(resolve => child.once("exit", resolve));
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const server = { base, dir, request, upload, stop, output: () => output };
+  if (login) {
+    const res = await request("POST", "/api/auth/login", { username: "admin", password: ADMIN_PASSWORD });
+    if (res.status !== 200) {
+      await stop();
+      throw new Error("admin login failed: " + JSON.stringify(res.body));
+    }
+  }
+  return server;
+}
+
+// mock-odoo.js on a free port; url is what the Odoo settings take
+async function startMockOdoo() {
+  const port = await freePort();
+  const child = spawn(process.execPath, [MOCK_ODOO, String(port)], { stdio: ["ignore", "pipe", "pipe"] });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", d => { output += d; if (output.includes("Mock Odoo on")) resolve(); });
+    child.stderr.on("data", d => { output += d; });
+    child.on("exit", code => reject(new Error(`mock-odoo.js exited (${code})\n${output}`)));
+  });
+
+  async function stop() {
+    if (child.exitCode !== null) return;
+    child.removeAllListeners("exit");
+    const exited = new Promise(resolve => child.once("exit", resolve));
+    child.kill();
+    await exited;
+  }
+  return { url: `http://127.0.0.1:${port}`, stop };
+}
+
+// Backroom / floor qty of one SKU/size/color, via the stock search (which hides zero lines)
+async function stockQty(server, sku, size, color) {
+  const res = await server.request("GET", `/api/stock/search?q=${encodeURIComponent(sku)}&limit=2000`);
+  const x = res.body.items.find(it => it.sku === sku && it.size === size && it.color === color);
+  return { backroom: Number(x?.qty) || 0, floor: Number(x?.floorQty) || 0 };
+}
+
+module.exports = { ADMIN_PASSWORD, startMockOdoo, startServer, stockQty, toCsv };
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const CATEGORY = "All / Saleable / Boys / Pajama";
+const STOCK = [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 5], ["[100] Pajama (Red, 6)", 5]];
+
+let server;
+test.before(async () => { server = await startServer(); });
+test.after(() => server.stop());
+
+test("errors answer a code and params, with the text in the request language", async () => {
+  await server.upload("/api/stock/update", "stock", "stock.csv", STOCK);
+  const gen = await server.upload("/api/replan/generate", "sales", "sales.csv", [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 1]]);
+  const body = { runId: gen.body.runId, lineId: "100||4||Red", actualQty: 50 };
+
+  const en = await server.request("POST", "/api/replan/execute?lang=en", body);
+  assert.equal(en.status, 400);
+  assert.equal(en.body.code, "ACTUAL_QTY_RANGE");
+  assert.deepEqual(en.body.params, { max: 1 });
+  assert.equal(en.body.error, "actualQty must be a whole number from 0 to 1");
+
+  const ar = await server.request("POST", "/api/replan/execute?lang=ar", body);
+  assert.equal(ar.body.code, "ACTUAL_QTY_RANGE");
+  assert.equal(ar.body.error, "الكمية الفعلية لازم تكون رقم صحيح من 0 لـ 1");
+});
+
+test("server-worded row reasons are localized from their code", async () => {
+  const res = await server.upload("/api/stock/preview?lang=ar", "stock", "stock.csv", [["Quantity", ""], ...STOCK, ["[100] Pajama (Red, 4, XL)", 1]]);
+  assert.deepEqual(res.body.skipped.map(s => [s.reasonCode, s.reason]), [["HEADER_ROW", "صف عناوين"]]);
+  assert.deepEqual(res.body.ambiguous.map(s => [s.reasonCode, s.reason]), [["EXTRA_VALUES", "قيم زيادة اتجاهلت: XL"]]);
+});
+
+test("text a user typed is never translated, even when it reads like a catalog message", async () => {
+  const gen = await server.upload("/api/replan/generate", "sales", "typed.csv",
+    [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 1], ["[100] Pajama (Red, 6)", 1]]);
+  const runId = gen.body.runId;
+  await server.request("POST", "/api/replan/execute", { runId, lineId: "100||4||Red", actualQty: 0, reason: "Header row" });
+  await server.request("POST", "/api/replan/skipLine", { runId, lineId: "100||6||Red", reason: "Missing SKU" });
+
+  const shortfall = await server.request("GET", `/api/replan/runs/${runId}/shortfall?lang=ar`);
+  assert.deepEqual(shortfall.body.rows.map(r => r.shortReason), ["Header row"]);
+  const run = await server.request("GET", `/api/replan/runs/${runId}?lang=ar`);
+  assert.equal(run.body.lines.find(l => l.lineId === "100||6||Red").skipReason, "Missing SKU");
+});
+
+test("ledger reasons are worded in the request language; the typed reversal note is kept apart", async () => {
+  const gen = await server.upload("/api/replan/generate", "sales", "ledger.csv", [[CATEGORY, ""], ["[100] Pajama (Red, 6)", 1]]);
+  const body = { runId: gen.body.runId, lineId: "100||6||Red" };
+  assert.equal((await server.request("POST", "/api/replan/execute", body)).status, 200);
+  assert.equal((await server.request("POST", "/api/replan/reverse", { ...body, reason: "Header row" })).status, 200);
+
+  const entries = (await server.request("GET", "/api/ledger?sku=100&lang=ar")).body.entries;
+  const reasons = (source) => [...new Set(entries.filter(e => e.source === source).map(e => [e.reasonCode, e.reason, e.note].join(" | ")))];
+  assert.deepEqual(reasons("reversal"), ["LEDGER_REPLAN_REVERSAL | إلغاء تنفيذ ريبلانش | Header row"]);
+  assert.deepEqual(reasons("replan"), ["LEDGER_REPLAN_EXECUTE | تنفيذ ريبلانش | "]);
+  assert.ok(reasons("upload").includes("LEDGER_UPLOAD | رفع مخزون (استبدال) | "));
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startServer, stockQty, toCsv } = require("./helpers");
+
+const CATEGORY = "All / Saleable / Boys / Pajama";
+
+// Single-byte Windows-1256 for the Arabic letters used below
+const CP1256 = { "ك": 0xDF, "ا": 0xC7, "ف": 0xDD, "ي": 0xED, "ة": 0xC9, "م": 0xE3, "ن": 0xE4, "ت": 0xCA };
+const cp1256 = (text) => Buffer.from(Array.from(text, ch => CP1256[ch] ?? ch.charCodeAt(0)));
+
+let server;
+test.before(async () => { server = await startServer(); });
+test.after(() => server.stop());
+
+const preview = async (name, content) => (await server.upload("/api/stock/preview", "stock", name, content)).body;
+const linesOf = (body) => body.lines.map(l => [l.sku, l.size, l.color, l.qty]);
+
+test("bracket-text rows take the category header above them and merge duplicates", async () => {
+  const body = await preview("stock.csv", [
+    ["Quantity", ""],
+    [CATEGORY, 12],
+    ["[100] Pajama (Red, 4)", 2],
+    ["[100] Pajama (Red, 4)", 3],
+    ["[100] Pajama (Red, 6)", "x"],
+    ["", 4]
+  ]);
+  assert.deepEqual(linesOf(body), [["100", "4", "Red", 5], ["100", "6", "Red", 0]]);
+  assert.equal(body.lines[0].category, CATEGORY);
+  assert.equal(body.duplicates.length, 1);
+  assert.deepEqual(body.duplicates[0].rows, [3, 4]);
+  assert.equal(body.warnings.length, 1); // "x" counted as 0
+  assert.deepEqual(body.skipped.map(s => s.reason), ["Header row", "Empty text with a qty"]);
+});
+
+test("CSV encoding is detected: UTF-8, UTF-16 with a BOM and Windows-1256", async () => {
+  const rows = [[CATEGORY, ""], ["[100] Pajama (كافية, 4)", 2], ["[200] Pajama (منت, 8)", 1]];
+  const expected = [["100", "4", "كافية", 2], ["200", "8", "منت", 1]];
+
+  assert.deepEqual(linesOf(await preview("utf8.csv", Buffer.from(toCsv(rows), "utf8"))), expected);
+  assert.deepEqual(linesOf(await preview("utf16.csv", Buffer.from("﻿" + toCsv(rows), "utf16le"))), expected);
+  assert.deepEqual(linesOf(await preview("ansi.csv", cp1256(toCsv(rows)))), expected);
+});
+
+test("size/color synonyms are applied at import", async () => {
+  assert.equal((await server.request("POST", "/api/synonyms", { type: "color", from: "Rd", to: "Red" })).status, 200);
+  assert.equal((await server.request("POST", "/api/synonyms", { type: "size", from: "4Y", to: "4" })).status, 200);
+
+  const update = await server.upload("/api/stock/update", "stock", "stock.csv", [[CATEGORY, ""], ["[100] Pajama (Rd, 4Y)", 2], ["[100] Pajama (Red, 4)", 1]]);
+  assert.equal(update.body.totalLines, 1);
+  assert.deepEqual(await stockQty(server, "100", "4", "Red"), { backroom: 3, floor: 0 });
+
+  // Re-pointing a target moves the spellings that pointed at it, so the dictionary never chains
+  assert.equal((await server.request("POST", "/api/synonyms", { type: "color", from: "Red", to: "Maroon" })).status, 200);
+  const dict = (await server.request("GET", "/api/synonyms")).body;
+  assert.deepEqual(dict.colors, { rd: "Maroon", red: "Maroon" });
+
+  const refused = await server.request("POST", "/api/synonyms", { type: "color", from: "Wine", to: "Red" });
+  assert.equal(refused.status, 400);
+});
+
+test("a synonym added after the stock exists keeps the line and its floor pieces at the next upload", async (t) => {
+  const own = await startServer();
+  t.after(() => own.stop());
+
+  await own.upload("/api/stock/update", "stock", "stock.csv", [[CATEGORY, ""], ["[100] Pajama (Rd, 4)", 5]]);
+  const batch = (await own.request("GET", "/api/newcollection/latest")).body;
+  await own.request("POST", "/api/newcollection/execute", { batchId: batch.batchId, lineId: "100||4||Rd" });
+  assert.deepEqual(await stockQty(own, "100", "4", "Rd"), { backroom: 4, floor: 1 });
+
+  await own.request("POST", "/api/synonyms", { type: "color", from: "Rd", to: "Red" });
+  const again = await own.upload("/api/stock/update", "stock", "stock2.csv", [[CATEGORY, ""], ["[100] Pajama (Rd, 4)", 4]]);
+  assert.equal(again.body.totalLines, 1);
+  assert.equal(again.body.newCollectionCount, 0);
+  assert.deepEqual(await stockQty(own, "100", "4", "Red"), { backroom: 4, floor: 1 });
+
+  const moves = (await own.request("GET", "/api/ledger?sku=100")).body.entries.filter(e => e.reasonCode === "LEDGER_SYNONYM");
+  assert.deepEqual(moves.map(e => [e.lineId, e.location, e.delta]).sort(),
+    [["100||4||Rd", "backroom", -4], ["100||4||Rd", "floor", -1], ["100||4||Red", "backroom", 4], ["100||4||Red", "floor", 1]]);
+});
+
+test("only the newest snapshots are kept, each under its own id", async (t) => {
+  const own = await startServer({ env: { SNAPSHOTS_KEPT: "2" } });
+  t.after(() => own.stop());
+
+  const ids = [];
+  for (const qty of [1, 2, 3]) {
+    ids.push((await own.upload("/api/stock/update", "stock", "stock.csv", [[CATEGORY, ""], ["[100] Pajama (Red, 4)", qty]])).body.snapshotId);
+  }
+  assert.equal(new Set(ids).size, 3);
+  assert.deepEqual((await own.request("GET", "/api/stock/snapshots")).body.snapshots.map(s => s.snapshotId), [ids[2], ids[1]]);
+  assert.equal((await own.request("GET", `/api/stock/snapshots/${ids[0]}`)).status, 404);
+  assert.deepEqual(fs.readdirSync(path.join(own.dir, "data", "snapshots")).sort(), [ids[1] + ".json", ids[2] + ".json"].sort());
+});
+
+test("a rejected upload does not leave its temp file behind", async () => {
+  const res = await server.upload("/api/stock/preview", "stock", "stock.csv", [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 1]], { profile: "no-such-profile" });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, "UNKNOWN_PROFILE");
+  const txt = await server.upload("/api/stock/preview", "stock", "stock.txt", [[CATEGORY, ""]]);
+  assert.equal(txt.status, 400);
+  assert.equal(txt.body.code, "UNSUPPORTED_FILE");
+  assert.deepEqual(fs.readdirSync(path.join(server.dir, "uploads")), []);
+});
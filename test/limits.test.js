@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const CATEGORY = "All / Saleable / Boys / Pajama";
+
+test("Min/Max: SKU+size beats SKU beats the deepest category beats the default", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const explain = async () => (await server.request("GET",
+    `/api/limits/explain?sku=100&size=4&color=Red&category=${encodeURIComponent(CATEGORY)}`)).body;
+  const decided = async () => {
+    const e = await explain();
+    return [e.decidedBy.type, e.min, e.max];
+  };
+
+  assert.deepEqual(await decided(), ["default", 1, 1]);
+  await server.request("POST", "/api/limits/setDefault", { defaultMin: 2, defaultMax: 4 });
+  assert.deepEqual(await decided(), ["default", 2, 4]);
+
+  await server.request("POST", "/api/limits/setCategory", { category: "All / Saleable", min: 1, max: 3 });
+  await server.request("POST", "/api/limits/setCategory", { category: "All / Saleable / Boys", min: 2, max: 5 });
+  await server.request("POST", "/api/limits/setCategory", { category: "All / Saleable / Girls", min: 9, max: 9 });
+  assert.deepEqual(await decided(), ["category", 2, 5]);
+
+  await server.request("POST", "/api/limits/set", { sku: "100", min: 3, max: 6 });
+  assert.deepEqual(await decided(), ["sku", 3, 6]);
+
+  await server.request("POST", "/api/limits/set", { sku: "100", size: "4", min: 0, max: 8 });
+  assert.deepEqual(await decided(), ["sku+size", 0, 8]);
+
+  // Other sizes of the SKU still use the SKU rule
+  const other = (await server.request("GET", `/api/limits/explain?sku=100&size=6&color=Red&category=${encodeURIComponent(CATEGORY)}`)).body;
+  assert.equal(other.decidedBy.type, "sku");
+
+  await server.request("POST", "/api/limits/delete", { type: "sku+size", key: "100||4" });
+  await server.request("POST", "/api/limits/delete", { type: "sku", key: "100" });
+  assert.deepEqual(await decided(), ["category", 2, 5]);
+});
+
+test("a generated line is pulled up to its resolved Max, minus what is on the floor", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await server.upload("/api/stock/update", "stock", "stock.csv", [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 10], ["[100] Pajama (Red, 6)", 1]]);
+  await server.request("POST", "/api/limits/set", { sku: "100", min: 2, max: 4 });
+
+  const gen = await server.upload("/api/replan/generate", "sales", "sales.csv",
+    [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 1], ["[100] Pajama (Red, 6)", 0.5]]);
+  assert.equal(gen.status, 200);
+  const byId = Object.fromEntries(gen.body.lines.map(l => [l.lineId, l]));
+  assert.equal(byId["100||4||Red"].pullQty, 4);
+  assert.equal(byId["100||4||Red"].limits.rule, "sku:100");
+  assert.equal(byId["100||6||Red"], undefined); // balance 0.5 is under Min 2
+});
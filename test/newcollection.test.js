@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, stockQty } = require("./helpers");
+
+const CATEGORY = "All / Saleable / Boys / Pajama";
+
+test("a base upload opens one line per key, sized by the opening-qty rules", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const rules = await server.request("POST", "/api/newcollection/rules", { defaultQty: 1, rules: [{ category: CATEGORY, size: "6", qty: 2 }] });
+  assert.equal(rules.status, 200);
+
+  const up = await server.upload("/api/stock/update", "stock", "stock.csv",
+    [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 5], ["[100] Pajama (Red, 6)", 5], ["[200] Pajama (Blue, 6)", 1]]);
+  assert.equal(up.body.baseMode, true);
+
+  const batch = (await server.request("GET", "/api/newcollection/latest")).body;
+  const qty = Object.fromEntries(batch.items.map(l => [l.lineId, l.qty]));
+  assert.deepEqual(qty, { "100||4||Red": 1, "100||6||Red": 2, "200||6||Blue": 1 }); // capped by the backroom
+
+  const exec = await server.request("POST", "/api/newcollection/execute", { batchId: batch.batchId, lineId: "100||6||Red" });
+  assert.equal(exec.status, 200);
+  assert.deepEqual(await stockQty(server, "100", "6", "Red"), { backroom: 3, floor: 2 });
+});
+
+test("full size run only: an incomplete SKU+color is held until its sizes arrive", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await server.request("POST", "/api/newcollection/rules", { defaultQty: 1, fullSizeRunOnly: true, rules: [] });
+  await server.upload("/api/stock/update", "stock", "stock.csv",
+    [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 2], ["[100] Pajama (Red, 6)", 2], ["[100] Pajama (Blue, 4)", 2]]);
+
+  const batch = (await server.request("GET", "/api/newcollection/latest")).body;
+  assert.deepEqual(batch.items.map(l => l.lineId).sort(), ["100||4||Red", "100||6||Red"]);
+  let held = (await server.request("GET", "/api/newcollection/held")).body.held;
+  assert.deepEqual(held.map(h => [h.lineId, h.missing]), [["100||4||Blue", ["6"]]]);
+
+  // The missing size arrives: both Blue lines open in this update's batch
+  const up = await server.upload("/api/stock/update", "stock", "stock2.csv",
+    [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 2], ["[100] Pajama (Red, 6)", 2], ["[100] Pajama (Blue, 4)", 2], ["[100] Pajama (Blue, 6)", 1]]);
+  assert.equal(up.body.heldBack, 0);
+  const next = (await server.request("GET", "/api/newcollection/latest")).body;
+  assert.notEqual(next.batchId, batch.batchId);
+  assert.deepEqual(next.items.map(l => l.lineId).sort(), ["100||4||Blue", "100||6||Blue"]);
+  held = (await server.request("GET", "/api/newcollection/held")).body.held;
+  assert.deepEqual(held, []);
+});
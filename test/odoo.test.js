@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockOdoo, startServer, stockQty } = require("./helpers");
+
+// mock-odoo.js dates its sales by UTC day
+const yesterday = new Date(Date.now() - 24 * 3600 * 1000).toISOString().slice(0, 10);
+
+let mock, server;
+test.before(async () => {
+  mock = await startMockOdoo();
+  server = await startServer();
+});
+test.after(async () => {
+  await server.stop();
+  await mock.stop();
+});
+
+const config = (extra = {}) => ({
+  enabled: false, url: mock.url, db: "demo", username: "admin", password: "admin",
+  location: "WH/Stock", salesSources: ["pos", "sale"], salesDays: 1, ...extra
+});
+
+test("config is checked and saved without echoing the password", async () => {
+  const bad = await server.request("POST", "/api/odoo/config", config({ url: "localhost:8069" }));
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.code, "ODOO_URL");
+
+  const res = await server.request("POST", "/api/odoo/config", config());
+  assert.equal(res.status, 200);
+  assert.equal(res.body.config.hasPassword, true);
+  assert.equal(res.body.config.password, undefined);
+});
+
+test("connection test signs in; a refused login answers 502", async () => {
+  const ok = await server.request("POST", "/api/odoo/test");
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.uid, 2);
+
+  await server.request("POST", "/api/odoo/config", config({ password: "wrong" }));
+  const refused = await server.request("POST", "/api/odoo/test");
+  assert.equal(refused.status, 502);
+  assert.equal(refused.body.code, "ODOO_LOGIN_FAILED");
+  await server.request("POST", "/api/odoo/config", config());
+});
+
+test("a sales sync the app rejects keeps its own status, not 502", async () => {
+  const res = await server.request("POST", "/api/odoo/sync/sales", { from: yesterday, to: yesterday });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, "STOCK_EMPTY");
+  assert.equal(res.body.entry.ok, false);
+});
+
+test("stock sync imports on-hand quants in internal locations under the configured one", async () => {
+  const res = await server.request("POST", "/api/odoo/sync/stock");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.entry.ok, true);
+
+  assert.deepEqual(await stockQty(server, "525797449", "8", "منت"), { backroom: 7, floor: 0 });
+  // 9 more sit at the customer location
+  assert.deepEqual(await stockQty(server, "600000001", "S", "Red"), { backroom: 6, floor: 0 });
+});
+
+test("sales sync builds a run from paid POS lines and confirmed sale lines", async () => {
+  const res = await server.request("POST", "/api/odoo/sync/sales", { from: yesterday, to: yesterday });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.entry.ok, true);
+  const runId = res.body.entry.result.runId;
+  assert.ok(runId);
+
+  const run = await server.request("GET", `/api/replan/runs/${runId}`);
+  const sold = Object.fromEntries(run.body.lines.map(l => [l.lineId, l.salesQty]));
+  // the refund nets out one Dress S; the cancelled POS order of Dress M is left out, its sale line counts
+  assert.deepEqual(sold, { "525797449||8||منت": 2, "600000001||S||Red": 1, "600000001||M||Red": 1 });
+});
+
+test("a sync against an unreachable Odoo answers 502", async () => {
+  await mock.stop();
+  const res = await server.request("POST", "/api/odoo/sync/stock");
+  assert.equal(res.status, 502);
+  assert.equal(res.body.entry.ok, false);
+});
@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, stockQty } = require("./helpers");
+
+const CATEGORY = "All / Saleable / Boys / Pajama";
+const STOCK = [
+  [CATEGORY, ""],
+  ["[100] Pajama (Red, 4)", 5],
+  ["[100] Pajama (Red, 6)", 3],
+  ["[200] Pajama (Blue, 8)", 2]
+];
+const SALES = [
+  [CATEGORY, ""],
+  ["[100] Pajama (Red, 4)", 2]
+];
+
+test("generate, execute and roll the stock back", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const first = await server.upload("/api/stock/update", "stock", "stock.csv", STOCK);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.totalLines, 3);
+
+  const gen = await server.upload("/api/replan/generate", "sales", "sales.csv", SALES);
+  assert.equal(gen.status, 200);
+  assert.equal(gen.body.linesCount, 1);
+  const [line] = gen.body.lines;
+  assert.equal(line.lineId, "100||4||Red");
+  assert.equal(line.balance, 3);
+  assert.equal(line.pullQty, 1); // default Min/Max 1/1, empty floor
+
+  const exec = await server.request("POST", "/api/replan/execute", { runId: gen.body.runId, lineId: line.lineId });
+  assert.equal(exec.status, 200);
+  assert.equal(exec.body.line.status, "Done");
+  assert.deepEqual(await stockQty(server, "100", "4", "Red"), { backroom: 4, floor: 1 });
+
+  const again = await server.request("POST", "/api/replan/execute", { runId: gen.body.runId, lineId: line.lineId });
+  assert.equal(again.body.alreadyDone, true);
+  assert.deepEqual(await stockQty(server, "100", "4", "Red"), { backroom: 4, floor: 1 });
+
+  const ledger = await server.request("GET", "/api/ledger?sku=100");
+  const moves = ledger.body.entries.filter(e => e.source === "replan");
+  assert.deepEqual(moves.map(e => [e.location, e.delta]).sort(), [["backroom", -1], ["floor", 1]]);
+
+  // A new upload replaces the backroom; rolling back restores it and leaves the floor alone
+  const second = await server.upload("/api/stock/update", "stock", "stock2.csv", [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 9]]);
+  assert.equal(second.status, 200);
+  assert.deepEqual(await stockQty(server, "100", "4", "Red"), { backroom: 9, floor: 1 });
+
+  const rollback = await server.request("POST", "/api/stock/rollback", { snapshotId: first.body.snapshotId });
+  assert.equal(rollback.status, 200);
+  assert.equal(rollback.body.totalLines, 3);
+  assert.deepEqual(await stockQty(server, "100", "4", "Red"), { backroom: 5, floor: 1 });
+  assert.deepEqual(await stockQty(server, "200", "8", "Blue"), { backroom: 2, floor: 0 });
+});
+
+test("a replayed Idempotency-Key returns the first answer without moving stock again", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await server.upload("/api/stock/update", "stock", "stock.csv", STOCK);
+  const gen = await server.upload("/api/replan/generate", "sales", "sales.csv", SALES);
+  const body = { runId: gen.body.runId, lineId: "100||4||Red" };
+  const headers = { "idempotency-key": "scan-1" };
+
+  const first = await server.request("POST", "/api/replan/execute", body, headers);
+  const replay = await server.request("POST", "/api/replan/execute", body, headers);
+  assert.equal(first.status, 200);
+  assert.equal(replay.status, 200);
+  assert.equal(replay.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(replay.body, first.body);
+  assert.deepEqual(await stockQty(server, "100", "4", "Red"), { backroom: 4, floor: 1 });
+});
+
+test("executing more than the backroom holds is refused", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await server.upload("/api/stock/update", "stock", "stock.csv", STOCK);
+  const gen = await server.upload("/api/replan/generate", "sales", "sales.csv", SALES);
+  const res = await server.request("POST", "/api/replan/execute", { runId: gen.body.runId, lineId: "100||4||Red", actualQty: 50 });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await stockQty(server, "100", "4", "Red"), { backroom: 5, floor: 0 });
+});
+
+test("the pick list downloads as a PDF named after the run", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await server.upload("/api/stock/update", "stock", "stock.csv", STOCK);
+  const gen = await server.upload("/api/replan/generate", "sales", "sales.csv", SALES);
+  const res = await server.request("GET", `/api/replan/${encodeURIComponent(gen.body.runId)}/pdf?lang=en`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+  assert.match(res.headers.get("content-disposition"), /filename="RUN[\w-]*\.pdf"$/);
+  assert.equal(res.body.subarray(0, 5).toString(), "%PDF-");
+});
+
+test("a cancelled run can be neither executed nor reversed", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await server.upload("/api/stock/update", "stock", "stock.csv", STOCK);
+  const gen = await server.upload("/api/replan/generate", "sales", "sales.csv", SALES);
+  const body = { runId: gen.body.runId, lineId: "100||4||Red" };
+  assert.equal((await server.request("POST", "/api/replan/execute", body)).status, 200);
+  assert.equal((await server.request("POST", "/api/replan/cancel", { runId: body.runId })).status, 200);
+
+  for (const url of ["/api/replan/execute", "/api/replan/reverse"]) {
+    const res = await server.request("POST", url, body);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "RUN_CANCELLED");
+  }
+  assert.deepEqual(await stockQty(server, "100", "4", "Red"), { backroom: 4, floor: 1 });
+});
+
+test("the same sales file comes off the floor once, however often it is applied", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await server.upload("/api/stock/update", "stock", "stock.csv", [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 10], ["[200] Pajama (Blue, 8)", 5]]);
+  await server.request("POST", "/api/limits/set", { sku: "100", min: 1, max: 3 });
+  const fill = await server.upload("/api/replan/generate", "sales", "first.csv", SALES);
+  await server.request("POST", "/api/replan/execute", { runId: fill.body.runId, lineId: "100||4||Red" });
+  assert.deepEqual(await stockQty(server, "100", "4", "Red"), { backroom: 7, floor: 3 });
+
+  const sales = [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 1]];
+  await server.upload("/api/replan/generate", "sales", "sales.csv", sales);
+  assert.equal((await stockQty(server, "100", "4", "Red")).floor, 2);
+
+  // Again, and under another category filter: the earlier record is replaced, not added to
+  const again = await server.upload("/api/replan/generate", "sales", "sales.csv", sales);
+  assert.equal(again.status, 200);
+  await server.upload("/api/replan/generate", "sales", "sales.csv", sales, { category: "All / Saleable" });
+  assert.equal((await stockQty(server, "100", "4", "Red")).floor, 2);
+
+  const history = (await server.request("GET", "/api/sales/history")).body;
+  assert.equal(history.records.filter(r => r.fileName === "sales.csv").length, 1);
+
+  // A replaced record with other quantities: the old share goes back, the new one comes off
+  await server.upload("/api/replan/generate", "sales", "sales.csv", [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 2]]);
+  assert.equal((await stockQty(server, "100", "4", "Red")).floor, 1);
+
+  // Another file (or another period) is new sales
+  await server.upload("/api/replan/generate", "sales", "other.csv", sales);
+  assert.equal((await stockQty(server, "100", "4", "Red")).floor, 0);
+});
+
+test("velocity: target = avg daily sales x cover days, capped by Max but not raised to Min", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await server.upload("/api/stock/update", "stock", "stock.csv",
+    [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 20], ["[100] Pajama (Red, 6)", 20], ["[200] Pajama (Blue, 8)", 30]]);
+  await server.request("POST", "/api/limits/setDefault", { defaultMin: 3, defaultMax: 10 });
+
+  // 28 days of history: 1/day, 2 in total, 100 in total
+  const history = await server.upload("/api/replan/generate", "sales", "month.csv",
+    [[CATEGORY, ""], ["[100] Pajama (Red, 4)", 28], ["[100] Pajama (Red, 6)", 2], ["[200] Pajama (Blue, 8)", 100]], { salesDays: 28 });
+  assert.equal(history.status, 200);
+
+  const form = new FormData();
+  form.append("mode", "velocity");
+  form.append("windowDays", "28");
+  form.append("coverDays", "7");
+  const gen = await server.request("POST", "/api/replan/generate", form);
+  assert.equal(gen.status, 200);
+  const byId = Object.fromEntries(gen.body.lines.map(l => [l.lineId, [l.avgDaily, l.targetQty, l.pullQty]]));
+  assert.deepEqual(byId["100||4||Red"], [1, 7, 7]);
+  assert.deepEqual(byId["100||6||Red"], [0.07, 1, 1]); // under Min 3
+  assert.deepEqual(byId["200||8||Blue"], [3.57, 10, 10]); // Max 10
+});